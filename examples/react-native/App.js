@@ -1,551 +1,882 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
   Button,
-  Switch,
   ScrollView,
   StyleSheet,
   TouchableOpacity,
   Alert,
   SafeAreaView,
   ActivityIndicator,
-  Image,
   Linking,
   TextInput
 } from 'react-native';
 import Modal from 'react-native-modal';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-
-// Environment Configuration
-const ENVIRONMENTS = {
-  'local-dev': {
-    name: 'Local Dev',
-    url: 'http://localhost:3000/mobile'
-  },
-  'staging': {
-    name: 'Staging',
-    url: 'https://staging-api.axeptio.tech/mobile'
-  },
-  'production': {
-    name: 'Production',
-    url: 'https://headless-api.axeptio.tech/mobile'
+import {
+  ENVIRONMENTS,
+  DEFAULT_PROJECT_ID,
+  DEFAULT_ENVIRONMENT,
+  STORAGE_KEYS
+} from './src/config';
+import { DEFAULT_COLLECTION } from './src/AxeptioClient';
+import { AxeptioConsentProvider, useConsent } from './src/AxeptioConsentProvider';
+import { getConsentExpiry, isConsentExpired } from './src/consentExpiration';
+import { getDocumentKey } from './src/consentDocuments';
+import { vendorGate } from './src/vendorGate';
+import { CONSENT_REGIMES } from './src/consentRegions';
+import { shareConsentExport } from './src/consentExport';
+import { PreferenceCenter } from './src/components/PreferenceCenter';
+import { FirstLayerBanner } from './src/components/FirstLayerBanner';
+import { BUNDLED_TEXTS, createTranslator, getDeviceLanguages, resolveLanguage } from './src/i18n';
+import {
+  AuthError,
+  AxeptioError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError
+} from './src/errors';
+
+// Start and stop tracking SDKs when their vendor is granted or revoked.
+// Replace the logs with e.g. analytics().setAnalyticsCollectionEnabled(...)
+vendorGate.onConsentChange(({ granted, revoked, reason }) => {
+  granted.forEach(vendorId => console.log(`[${reason}] Starting SDK for vendor:`, vendorId));
+  revoked.forEach(vendorId => console.log(`[${reason}] Stopping SDK for vendor:`, vendorId));
+});
+
+// Status label for the stored consent of a processing or contract document
+const describeDocumentConsent = (record) => {
+  if (!record) {
+    return 'Not Set';
   }
+  if (record.pending) {
+    return '⏳ Pending Sync';
+  }
+  return record.accepted ? '✅ Accepted' : '❌ Declined';
 };
 
-// Default Configuration
-const DEFAULT_PROJECT_ID = '67fcdb2b52ab9a99a5865f4d';
-const DEFAULT_ENVIRONMENT = 'staging';
+// Alert text for a failed client call: what went wrong, then the API response for debugging
+const describeError = (error) => {
+  let summary = error.message;
+  if (error instanceof NetworkError) {
+    summary = 'The Axeptio API could not be reached. Check your connection and try again.';
+  } else if (error instanceof AuthError) {
+    summary = error.status === 401 || error.status === 403
+      ? 'The API token was refused. Check the project and API token in Settings.'
+      : `${error.message}. Check the API token in Settings.`;
+  } else if (error instanceof RateLimitError) {
+    summary = error.retryAfter
+      ? `Too many requests, try again in ${error.retryAfter} s.`
+      : 'Too many requests, try again in a moment.';
+  } else if (error instanceof NotFoundError) {
+    summary = 'Not found. Check the project ID in Settings.';
+  } else if (error instanceof ValidationError) {
+    summary = `Unexpected request or response: ${error.message}`;
+  } else if (error instanceof ServerError) {
+    summary = 'The Axeptio API is unavailable, try again later.';
+  }
 
-// AsyncStorage Keys
-const STORAGE_KEYS = {
-  PROJECT_ID: '@axeptio_project_id',
-  ENVIRONMENT: '@axeptio_environment'
+  if (!(error instanceof AxeptioError) || !error.status) {
+    return summary;
+  }
+  return `${summary}\n\n${error.method} ${error.endpoint}\nStatus: ${error.status}\n${JSON.stringify(error.body, null, 2)}`;
 };
 
-// Mock vendors since project config is empty
-const VENDORS = {
-  google_analytics: { name: 'Google Analytics', description: 'Usage statistics and analytics' },
-  facebook_pixel: { name: 'Facebook Pixel', description: 'Ad targeting and conversion tracking' },
-  mixpanel: { name: 'Mixpanel', description: 'Product analytics and user behavior' }
+// Request of the provider that failed on load -> label shown in the warning card
+const LOAD_ERROR_LABELS = {
+  auth: 'API token',
+  configuration: 'Configuration',
+  vendors: 'Vendors (showing the built-in list)',
+  token: 'User token'
 };
 
-export default function App() {
-  const [modalVisible, setModalVisible] = useState(false);
-  const [settingsModalVisible, setSettingsModalVisible] = useState(false);
+// Demo screen: reads and updates the consent state of AxeptioConsentProvider
+function ConsentDemo({ onOpenSettings }) {
+  const {
+    client,
+    projectId,
+    environment,
+    loadErrors,
+    language,
+    t,
+    consentStatus,
+    lastConsentId,
+    lastConsentToken,
+    currentUserToken,
+    configId,
+    googleConsentMode,
+    tcString,
+    consentRegion,
+    openConsentModal,
+    submitConsent,
+    acceptAllConsent,
+    rejectAllConsent,
+    withdrawConsent,
+    consentDocuments,
+    collectionConsents,
+    activeDocument,
+    openDocument,
+    closeDocument,
+    submitDocumentConsent,
+    getConsentHistory,
+    exportConsentData,
+    ensureConfigId,
+    generateNewToken,
+    eraseConsentData,
+    accountId,
+    identify,
+    logout
+  } = useConsent();
+
   const [loading, setLoading] = useState(false);
-  const [vendorsLoading, setVendorsLoading] = useState(true);
-  const [vendors, setVendors] = useState({}); // Dynamic vendor preferences
-  const [apiVendors, setApiVendors] = useState(VENDORS); // Fallback to hardcoded initially
-  const [failedImages, setFailedImages] = useState(new Set()); // Track failed image loads
-  const [consentStatus, setConsentStatus] = useState('Not Set');
-  const [lastConsentId, setLastConsentId] = useState(null);
-  const [lastConsentToken, setLastConsentToken] = useState(null); // Store last used token
-  const [currentUserToken, setCurrentUserToken] = useState(null); // Persistent user token (fetched from API)
-  const [configId, setConfigId] = useState(null);
+  const [historyVisible, setHistoryVisible] = useState(false);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [history, setHistory] = useState(null); // { token, entries, serverError }
+  const [accountInput, setAccountInput] = useState('');
 
-  // Settings state
-  const [projectId, setProjectId] = useState(DEFAULT_PROJECT_ID);
-  const [environment, setEnvironment] = useState(DEFAULT_ENVIRONMENT);
-  const [tempProjectId, setTempProjectId] = useState(DEFAULT_PROJECT_ID);
-  const [tempEnvironment, setTempEnvironment] = useState(DEFAULT_ENVIRONMENT);
+  const collections = [DEFAULT_COLLECTION, ...new Set(consentDocuments.map(document => document.collection))];
 
-  // Derived values
-  const apiBase = ENVIRONMENTS[environment]?.url || ENVIRONMENTS[DEFAULT_ENVIRONMENT].url;
-  const apiToken = `project_${projectId}_test_token`;
+  // Alert for a failed consent submission
+  const showSubmitError = (error) => {
+    Alert.alert('❌ Consent Not Saved', describeError(error));
+  };
 
-  // Load settings from AsyncStorage
-  const loadSettings = async () => {
+  // Submit the preference center choices, errors are shown by its onError
+  const handleSubmitConsent = async (isAcceptAll) => {
+    setLoading(true);
     try {
-      const savedProjectId = await AsyncStorage.getItem(STORAGE_KEYS.PROJECT_ID);
-      const savedEnvironment = await AsyncStorage.getItem(STORAGE_KEYS.ENVIRONMENT);
-
-      if (savedProjectId) {
-        setProjectId(savedProjectId);
-        setTempProjectId(savedProjectId);
-      }
-      if (savedEnvironment && ENVIRONMENTS[savedEnvironment]) {
-        setEnvironment(savedEnvironment);
-        setTempEnvironment(savedEnvironment);
+      const result = await submitConsent(isAcceptAll);
+      if (result.queued) {
+        Alert.alert(
+          '📡 Saved Offline',
+          'Your choices are saved on this device and will be sent automatically when the connection is restored.'
+        );
+      } else {
+        Alert.alert(
+          '✅ Success',
+          `Consent saved successfully!\n\nStatus: ${result.status}\nID: ${result.consentId || 'N/A'}\nToken: ${result.token}`
+        );
       }
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      console.log('Settings loaded:', { projectId: savedProjectId || DEFAULT_PROJECT_ID, environment: savedEnvironment || DEFAULT_ENVIRONMENT });
-    } catch (error) {
-      console.error('Failed to load settings:', error);
+  // Accept all / Reject all of the first-layer banner, errors are shown by its onError
+  const handleBannerChoice = (submitChoice) => async () => {
+    const result = await submitChoice();
+    if (result.queued) {
+      Alert.alert(
+        '📡 Saved Offline',
+        'Your choice is saved on this device and will be sent automatically when the connection is restored.'
+      );
     }
   };
 
-  // Save settings to AsyncStorage
-  const saveSettings = async (newProjectId, newEnvironment) => {
+  // Submit the choice made on a processing or contract screen
+  const handleSubmitDocument = async (document, accepted) => {
+    setLoading(true);
     try {
-      await AsyncStorage.setItem(STORAGE_KEYS.PROJECT_ID, newProjectId);
-      await AsyncStorage.setItem(STORAGE_KEYS.ENVIRONMENT, newEnvironment);
-      console.log('Settings saved:', { projectId: newProjectId, environment: newEnvironment });
+      const result = await submitDocumentConsent(document, accepted);
+      if (result.queued) {
+        Alert.alert(
+          '📡 Saved Offline',
+          'Your choice is saved on this device and will be sent automatically when the connection is restored.'
+        );
+      }
     } catch (error) {
-      console.error('Failed to save settings:', error);
-      throw error;
+      showSubmitError(error);
+    } finally {
+      setLoading(false);
     }
   };
 
-  // Load settings on mount
-  useEffect(() => {
-    loadSettings();
-  }, []);
-
-  // Fetch configuration, vendors, and token on mount or when settings change
-  useEffect(() => {
-    const initializeApp = async () => {
-      await fetchConfiguration();
-      await fetchVendors();
-
-      // Fetch initial token from API
-      try {
-        const token = await fetchToken();
-        setCurrentUserToken(token);
-        console.log('App initialized with token:', token);
-      } catch (error) {
-        console.error('Failed to fetch initial token:', error);
-        // App can still work, user can generate token manually
-      }
-    };
-
-    // Only initialize if we have settings loaded
-    if (projectId && environment) {
-      initializeApp();
+  // Generate a new user token using the API
+  const handleGenerateNewToken = async () => {
+    setLoading(true);
+    try {
+      const newToken = await generateNewToken();
+      Alert.alert(
+        '🔄 New Token Generated',
+        `New user token: ${newToken}`,
+        [{ text: 'OK' }]
+      );
+    } catch (error) {
+      Alert.alert(
+        '❌ Token Generation Failed',
+        describeError(error),
+        [{ text: 'OK' }]
+      );
+    } finally {
+      setLoading(false);
     }
-  }, [projectId, environment]);
-
-  // Toggle individual vendor
-  const toggleVendor = (vendorKey) => {
-    setVendors(prev => ({
-      ...prev,
-      [vendorKey]: !prev[vendorKey]
-    }));
   };
 
-  // Accept all vendors
-  const acceptAll = () => {
-    const allAccepted = Object.keys(apiVendors).reduce((acc, key) => ({
-      ...acc,
-      [key]: true
-    }), {});
-    setVendors(allAccepted);
+  // Withdraw every consent of the current user once confirmed
+  const handleWithdrawConsent = () => {
+    Alert.alert(
+      'Withdraw All Consent',
+      'Refuse every vendor and decline the processing and contract consents you accepted?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Withdraw',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              const result = await withdrawConsent();
+              Alert.alert(
+                result.queued ? '📡 Withdrawal Saved Offline' : '🚫 Consent Withdrawn',
+                result.queued
+                  ? 'Your withdrawal is saved on this device and will be sent automatically when the connection is restored.'
+                  : `Every consent of token ${result.token} was withdrawn.`
+              );
+            } catch (error) {
+              Alert.alert('❌ Withdrawal Failed', describeError(error));
+            } finally {
+              setLoading(false);
+            }
+          }
+        }
+      ]
+    );
   };
 
-  // Reject all vendors
-  const rejectAll = () => {
-    const allRejected = Object.keys(apiVendors).reduce((acc, key) => ({
-      ...acc,
-      [key]: false
-    }), {});
-    setVendors(allRejected);
+  // Ask the API to erase the current user's consents once confirmed
+  const handleEraseData = () => {
+    Alert.alert(
+      'Erase My Data',
+      'Delete every consent recorded for this user on the server and on this device? A new user token is created afterwards.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Erase',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              const result = await eraseConsentData();
+              Alert.alert(
+                '🗑️ Data Erased',
+                `Erased tokens: ${result.erasedTokens.join(', ') || 'none'}\n` +
+                `Deleted consents: ${result.deletedCount ?? 'unknown'}\n` +
+                `New token: ${result.token || 'fetched on next submission'}`
+              );
+            } catch (error) {
+              Alert.alert('❌ Erasure Failed', `${describeError(error)}\n\nNothing was deleted on this device, try again.`);
+            } finally {
+              setLoading(false);
+            }
+          }
+        }
+      ]
+    );
   };
 
-
-  // Submit consent to API
-  const submitConsent = async (isAcceptAll) => {
+  // Gather the user's consent data and share it as JSON or text
+  const handleExportData = async () => {
     setLoading(true);
-
-    // Ensure we have a configId
-    let currentConfigId = configId;
-    if (!currentConfigId) {
-      currentConfigId = await fetchConfiguration();
-      if (!currentConfigId) {
-        Alert.alert('❌ Error', 'Could not fetch configuration. Please try again.');
-        setLoading(false);
-        return;
-      }
+    let consentExport;
+    try {
+      consentExport = await exportConsentData();
+    } catch (error) {
+      Alert.alert('❌ Export Failed', describeError(error));
+      return;
+    } finally {
+      setLoading(false);
     }
 
-    // Ensure we have a valid token from API
-    let tokenToUse = currentUserToken;
-    if (!tokenToUse) {
+    const share = async (format) => {
       try {
-        tokenToUse = await fetchToken();
-        setCurrentUserToken(tokenToUse);
-        console.log('Fetched token for consent submission:', tokenToUse);
+        await shareConsentExport(consentExport, { format });
       } catch (error) {
-        Alert.alert('❌ Error', `Could not get user token:\n\n${error.message}`);
-        setLoading(false);
-        return;
+        Alert.alert('❌ Export Failed', describeError(error));
       }
-    }
-    
-    // Build vendor preferences dynamically
-    const vendorPreferences = {};
-    Object.keys(apiVendors).forEach(vendorKey => {
-      const vendor = apiVendors[vendorKey];
-      const formattedKey = `${vendor.id} (${vendor.name})`;
-      vendorPreferences[formattedKey] = isAcceptAll || vendors[vendorKey] || false;
-    });
-
-    const consent = {
-      accept: true,
-      preferences: {
-        config: {
-          language: 'en',
-          identifier: currentConfigId
-        },
-        vendors: vendorPreferences
-      },
-      googleConsentMode: {
-        version: 2,
-        ad_storage: 'denied',
-        ad_user_data: 'denied',
-        analytics_storage: 'denied',
-        ad_personalization: 'denied'
-      },
-      token: tokenToUse
     };
+    const incomplete = consentExport.errors.length > 0
+      ? `\n\n⚠️ Server records missing for: ${consentExport.errors.map(error => error.collection).join(', ')}`
+      : '';
+    Alert.alert(
+      '📦 Export My Data',
+      `${consentExport.consents.length} consent record(s) for token ${consentExport.user.token || 'none'}.${incomplete}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Text', onPress: () => share('text') },
+        { text: 'JSON', onPress: () => share('json') }
+      ]
+    );
+  };
 
-    // Store the token for later consent reading
-    setLastConsentToken(tokenToUse);
-    console.log('Using consent token:', tokenToUse);
-
+  // Link the user token to the account typed in and merge its consent
+  const handleLogin = async () => {
+    const trimmedAccountId = accountInput.trim();
+    if (!trimmedAccountId) {
+      Alert.alert('Validation Error', 'Account ID cannot be empty');
+      return;
+    }
+    setLoading(true);
     try {
-      const response = await fetch(
-        `${apiBase}/consents/${projectId}/cookies/${currentConfigId}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${apiToken}`
-          },
-          body: JSON.stringify(consent)
-        }
+      const result = await identify(trimmedAccountId);
+      setAccountInput('');
+      Alert.alert(
+        '👤 Logged In',
+        `Account: ${result.accountId}\nToken: ${result.token}\n\n` +
+        (result.source === 'server'
+          ? 'The latest consent of this account was restored on this device.'
+          : result.source === 'device'
+            ? 'The consent of this device is the latest one and now follows the account.'
+            : 'This account has no consent yet.')
       );
-      
-      const responseData = await response.text();
-      let parsedData;
-      try {
-        parsedData = JSON.parse(responseData);
-      } catch {
-        parsedData = { message: responseData };
-      }
-
-      if (response.ok || response.status === 201) {
-        // Try to find the consent ID in various possible fields
-        const consentId = parsedData.id ||
-                         parsedData._id ||
-                         parsedData.consentId ||
-                         parsedData.uuid ||
-                         parsedData.insertedId ||
-                         'saved';
-
-        setConsentStatus(isAcceptAll ? '✅ All Accepted' : '⚙️ Custom Preferences');
-        setLastConsentId(consentId);
-        Alert.alert(
-          '✅ Success',
-          `Consent saved successfully!\n\nStatus: ${response.status}\nID: ${consentId === 'saved' ? 'N/A' : consentId}\nToken: ${tokenToUse}`
-        );
-      } else {
-        Alert.alert(
-          '⚠️ API Response', 
-          `Status: ${response.status}\n\n${JSON.stringify(parsedData, null, 2)}`
-        );
-      }
     } catch (error) {
-      Alert.alert('❌ Error', `Failed to save consent:\n\n${error.message}`);
+      Alert.alert('❌ Login Failed', describeError(error));
     } finally {
       setLoading(false);
-      setModalVisible(false);
     }
   };
 
-  // Fetch configuration to get configId
-  const fetchConfiguration = async () => {
+  // Forget the account and start over as an anonymous user
+  const handleLogout = async () => {
+    setLoading(true);
     try {
-      const response = await fetch(
-        `${apiBase}/configurations/${projectId}`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${apiToken}`
-          }
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.defaultConfigId) {
-          setConfigId(data.defaultConfigId);
-          return data.defaultConfigId;
-        }
-      }
+      const newToken = await logout();
+      Alert.alert('👋 Logged Out', `New anonymous token: ${newToken || 'fetched on next submission'}`);
     } catch (error) {
-      console.error('Failed to fetch configuration:', error);
+      Alert.alert('❌ Logout Failed', describeError(error));
+    } finally {
+      setLoading(false);
     }
-    return null;
   };
 
-  // Fetch vendors from API
-  const fetchVendors = async () => {
-    setVendorsLoading(true);
+  // Check auth status
+  const checkAuth = async () => {
+    setLoading(true);
     try {
-      const response = await fetch(
-        `${apiBase}/vendors/${projectId}`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${apiToken}`
-          }
-        }
+      const data = await client.checkAuth();
+      const missingScopes = data.missingScopes.length > 0 ? `\nMissing scopes: ${data.missingScopes.join(', ')}` : '';
+      Alert.alert(
+        missingScopes ? '⚠️ Auth Status' : '✅ Auth Status',
+        `Project: ${data.projectId}\nTier: ${data.tier}\nAuthorized: ${data.authorized}\nScopes: ${data.scopes ? data.scopes.join(', ') : 'Not reported'}${missingScopes}\nExpires: ${data.expiresAt ? data.expiresAt.toISOString() : 'Unknown'}`,
+        [{ text: 'OK' }]
       );
-
-      if (response.ok) {
-        const vendorData = await response.json();
-        if (vendorData && vendorData.vendors && Array.isArray(vendorData.vendors)) {
-          // Transform API response with simplified vendor data
-          const vendorMap = {};
-          const vendorPreferences = {};
-
-          vendorData.vendors.forEach(vendor => {
-            const vendorKey = `${vendor.id} (${vendor.title || vendor.name})`;
-            vendorMap[vendorKey] = {
-              id: vendor.id,
-              name: vendor.title || vendor.name,
-              description: vendor.description || 'No description available',
-              image: vendor.image
-            };
-            vendorPreferences[vendorKey] = false; // Default to not accepted
-
-          });
-
-          setApiVendors(vendorMap);
-          setVendors(vendorPreferences);
-          console.log(`Successfully loaded ${vendorData.vendors.length} vendors from API`);
-          setVendorsLoading(false);
-          return vendorMap;
-        }
-      } else {
-        console.warn(`Failed to fetch vendors: ${response.status} ${response.statusText}`);
-        // Fallback to hardcoded vendors
-        const hardcodedPreferences = Object.keys(VENDORS).reduce((acc, key) => ({
-          ...acc,
-          [key]: false
-        }), {});
-        setVendors(hardcodedPreferences);
-      }
     } catch (error) {
-      console.error('Failed to fetch vendors:', error);
-      // Fallback to hardcoded vendors on error
-      const hardcodedPreferences = Object.keys(VENDORS).reduce((acc, key) => ({
-        ...acc,
-        [key]: false
-      }), {});
-      setVendors(hardcodedPreferences);
+      Alert.alert('❌ Auth Failed', describeError(error));
     } finally {
-      setVendorsLoading(false);
+      setLoading(false);
     }
-    return null;
   };
 
-  // Fetch a new user token from the API
-  const fetchToken = async () => {
+  // Show every consent of the current token, oldest first
+  const openHistory = async () => {
+    setHistoryVisible(true);
+    setHistoryLoading(true);
     try {
-      const response = await fetch(
-        `${apiBase}/token`,
-        {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${apiToken}`
-          }
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.token) {
-          console.log('Fetched new token from API:', data.token);
-          return data.token;
-        } else {
-          throw new Error('Token not found in API response');
-        }
-      } else {
-        const errorText = await response.text();
-        throw new Error(`API error ${response.status}: ${errorText}`);
-      }
+      setHistory(await getConsentHistory());
     } catch (error) {
-      console.error('Failed to fetch token:', error);
-      throw error;
+      console.error('Failed to load consent history:', error);
+      setHistory({ token: null, entries: [], serverError: error });
+    } finally {
+      setHistoryLoading(false);
     }
   };
 
-  // Generate a new user token using the API
-  const generateNewToken = async () => {
-    setLoading(true);
-    try {
-      const newToken = await fetchToken();
-      setCurrentUserToken(newToken);
-      setLastConsentToken(null); // Clear last consent token since we have a new user
+  // Check existing consent status
+  const checkConsentStatus = async () => {
+    if (!lastConsentToken) {
       Alert.alert(
-        '🔄 New Token Generated',
-        `New user token: ${newToken}`,
+        '📋 No Token Available',
+        'No consent has been submitted yet. Please submit a consent first to check its status.',
         [{ text: 'OK' }]
       );
+      return;
+    }
+
+    setLoading(true);
+
+    // Ensure we have a configId for the query parameters
+    let currentConfigId;
+    try {
+      currentConfigId = await ensureConfigId();
     } catch (error) {
-      Alert.alert(
-        '❌ Token Generation Failed',
-        `Could not generate new token:\n\n${error.message}`,
-        [{ text: 'OK' }]
-      );
+      Alert.alert('❌ Configuration Not Loaded', describeError(error));
+      setLoading(false);
+      return;
+    }
+    console.log('=== CONSENT READ REQUEST ===');
+    console.log('Reading consent with token:', lastConsentToken);
+    console.log('Config ID:', currentConfigId);
+    console.log('============================');
+
+    try {
+      const data = await client.getConsent(lastConsentToken, currentConfigId);
+      console.log('=== CONSENT READ API RESPONSE ===');
+      console.log('Token used:', lastConsentToken);
+      console.log('Response data:', JSON.stringify(data, null, 2));
+      console.log('================================');
+
+      if (data) {
+        const vendorCount = Object.keys(data.preferences?.vendors || {}).length;
+        const acceptedVendors = Object.values(data.preferences?.vendors || {}).filter(Boolean).length;
+
+        const expiry = getConsentExpiry(data);
+        const validity = isConsentExpired(data) ? 'Expired' : 'Valid';
+
+        const consentInfo = `Consent Found!\n\nAccepted: ${data.accept ? 'Yes' : 'No'}\nTotal Vendors: ${vendorCount}\nAccepted Vendors: ${acceptedVendors}\nToken: ${lastConsentToken}\nTimestamp: ${data.createdAt || data.timestamp || 'Unknown'}\nExpires: ${expiry ? expiry.toISOString() : 'Unknown'} (${validity})\nID: ${data.id || data._id || 'Unknown'}`;
+
+        Alert.alert(
+          '📋 Consent Status',
+          consentInfo,
+          [{ text: 'OK' }]
+        );
+      } else {
+        console.log('❌ No consent found for token:', lastConsentToken);
+        Alert.alert(
+          '📋 No Consent Found',
+          `No existing consent found for token: ${lastConsentToken}`,
+          [{ text: 'OK' }]
+        );
+      }
+    } catch (error) {
+      console.log('❌ API Error:', error.name, error.status, error.body);
+      Alert.alert('❌ Could Not Check Consent', describeError(error));
     } finally {
       setLoading(false);
     }
   };
 
-  // Check auth status
-  const checkAuth = async () => {
-    setLoading(true);
+  // Timeline item: date, configuration, accepted vendors and changes since the previous record
+  const renderHistoryEntry = (entry, index) => (
+    <View key={entry.consentId || `${entry.date}-${index}`} style={styles.historyEntry}>
+      <Text style={styles.historyDate}>
+        {entry.date ? new Date(entry.date).toLocaleString() : 'Unknown date'}
+        {entry.pending ? '  ⏳ Pending Sync' : ''}
+      </Text>
+      <Text style={styles.historyMeta}>
+        Config: {entry.configId || 'Unknown'} · {entry.sources.includes('server') ? 'Server' : 'This device'}
+        {entry.consentId && entry.consentId !== 'saved' ? ` · ID: ${entry.consentId}` : ''}
+      </Text>
+      <Text style={styles.historyText}>
+        Accepted: {entry.acceptedVendors.length > 0 ? entry.acceptedVendors.join(', ') : 'None'}
+      </Text>
+      {entry.diff ? (
+        <>
+          {entry.diff.granted.length > 0 && (
+            <Text style={styles.historyGranted}>+ {entry.diff.granted.join(', ')}</Text>
+          )}
+          {entry.diff.revoked.length > 0 && (
+            <Text style={styles.historyRevoked}>− {entry.diff.revoked.join(', ')}</Text>
+          )}
+          {entry.diff.configChanged && (
+            <Text style={styles.historyMeta}>Configuration changed</Text>
+          )}
+          {entry.diff.granted.length === 0 && entry.diff.revoked.length === 0 && !entry.diff.configChanged && (
+            <Text style={styles.historyMeta}>No change from the previous record</Text>
+          )}
+        </>
+      ) : (
+        <Text style={styles.historyMeta}>First recorded consent</Text>
+      )}
+    </View>
+  );
+
+  return (
+    <>
+      <ScrollView contentContainerStyle={styles.screenContent}>
+        <View style={styles.header}>
+          <Text style={styles.title}>🛡️ Axeptio React Native Demo</Text>
+          <Text style={styles.subtitle}>Headless CMP Widget Example</Text>
+        </View>
+
+        <View style={styles.statusCard}>
+          <Text style={styles.statusLabel}>Current Consent Status:</Text>
+          <Text style={styles.statusValue}>{consentStatus}</Text>
+          {lastConsentId && (
+            <Text style={styles.consentId}>ID: {lastConsentId}</Text>
+          )}
+          <Text style={styles.consentMode}>
+            Google Consent Mode: {Object.entries(googleConsentMode)
+              .filter(([signal]) => signal !== 'version')
+              .map(([signal, value]) => `${signal} ${value === 'granted' ? '✓' : '✗'}`)
+              .join(' · ')}
+          </Text>
+        </View>
+
+        {Object.values(loadErrors).some(Boolean) && (
+          <View style={styles.errorCard}>
+            <Text style={styles.errorTitle}>⚠️ Some data could not be loaded</Text>
+            {Object.entries(loadErrors)
+              .filter(([, error]) => error)
+              .map(([request, error]) => (
+                <Text key={request} style={styles.errorText}>
+                  {LOAD_ERROR_LABELS[request]}: {error.name}{error.status ? ` (${error.status})` : ''}
+                </Text>
+              ))}
+          </View>
+        )}
+
+        <View style={styles.infoCard}>
+          <Text style={styles.infoTitle}>📡 API Configuration</Text>
+          <Text style={styles.infoText}>Project ID: {projectId}</Text>
+          <Text style={styles.infoText}>Config ID: {configId || 'Loading...'}</Text>
+          <Text style={styles.infoText}>Environment: {ENVIRONMENTS[environment]?.name || 'Unknown'}</Text>
+          <Text style={styles.infoText}>Collections: {collections.join(', ')}</Text>
+          <Text style={styles.infoText}>Language: {language}</Text>
+          <Text style={styles.infoText}>
+            Region: {consentRegion.countryCode || 'Unknown'}
+            {consentRegion.source ? ` (from ${consentRegion.source})` : ''}
+            {' · '}{consentRegion.rule.law ? `${consentRegion.rule.law} ` : ''}{consentRegion.rule.regime}
+          </Text>
+          {tcString && (
+            <Text style={styles.infoText} numberOfLines={1} ellipsizeMode="middle">
+              TC String: {tcString}
+            </Text>
+          )}
+          <Text style={styles.infoText}>User Token: {currentUserToken || 'Loading...'}</Text>
+        </View>
+
+        <View style={styles.accountCard}>
+          <Text style={styles.infoTitle}>👤 Account</Text>
+          {accountId ? (
+            <>
+              <Text style={styles.infoText}>Logged in as: {accountId}</Text>
+              <TouchableOpacity
+                style={[styles.secondaryButton, styles.accountButton]}
+                onPress={handleLogout}
+                disabled={loading}
+              >
+                <Text style={styles.secondaryButtonText}>Log Out</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <Text style={styles.infoText}>Anonymous. Log in to share your choices between devices.</Text>
+              {environment !== 'local-dev' && (
+                <Text style={styles.infoText}>⚠️ Account linking uses mock-only endpoints, switch to Local Dev to try it.</Text>
+              )}
+              <TextInput
+                style={[styles.textInput, styles.accountButton]}
+                value={accountInput}
+                onChangeText={setAccountInput}
+                placeholder="Account ID (e.g. user@example.com)"
+                editable={!loading}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={[styles.secondaryButton, styles.accountButton]}
+                onPress={handleLogin}
+                disabled={loading}
+              >
+                <Text style={styles.secondaryButtonText}>Log In</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        {consentDocuments.length > 0 && (
+          <View style={styles.documentsCard}>
+            <Text style={styles.infoTitle}>📄 Other Consents</Text>
+            {consentDocuments.map(document => (
+              <TouchableOpacity
+                key={getDocumentKey(document)}
+                style={styles.documentRow}
+                onPress={() => openDocument(document)}
+                disabled={loading}
+              >
+                <Text style={styles.documentRowTitle}>{document.title}</Text>
+                <Text style={styles.documentRowStatus}>
+                  {describeDocumentConsent(collectionConsents[getDocumentKey(document)])}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.buttonContainer}>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={openConsentModal}
+            disabled={loading}
+          >
+            <Text style={styles.primaryButtonText}>
+              {consentRegion.rule.regime === CONSENT_REGIMES.OPT_OUT
+                ? '🚫 Do Not Sell or Share My Info'
+                : '⚙️ Manage Consent'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={checkConsentStatus}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>📋 Check Consent Status</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={openHistory}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>🕘 Consent History</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleExportData}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>📦 Export My Data</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={checkAuth}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>🔐 Check Auth</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleGenerateNewToken}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>🔄 Generate New Token</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleWithdrawConsent}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>🚫 Withdraw All Consent</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleEraseData}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>🗑️ Erase My Data</Text>
+          </TouchableOpacity>
+          {environment !== 'local-dev' && (
+            <Text style={styles.infoText}>⚠️ Erasure uses a mock-only endpoint, switch to Local Dev to try it.</Text>
+          )}
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={onOpenSettings}
+            disabled={loading}
+          >
+            <Text style={styles.secondaryButtonText}>⚙️ Settings</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading && (
+          <ActivityIndicator size="large" color="#32C832" style={styles.loader} />
+        )}
+      </ScrollView>
+
+      <Modal
+        isVisible={historyVisible}
+        onBackdropPress={() => setHistoryVisible(false)}
+        onBackButtonPress={() => setHistoryVisible(false)}
+        animationIn="slideInUp"
+        animationOut="slideOutDown"
+      >
+        <View style={styles.modal} accessibilityViewIsModal onAccessibilityEscape={() => setHistoryVisible(false)}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle} accessibilityRole="header">🕘 Consent History</Text>
+            <TouchableOpacity
+              onPress={() => setHistoryVisible(false)}
+              accessibilityRole="button"
+              accessibilityLabel={t('close')}
+            >
+              <Text style={styles.closeButton}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {history?.token && (
+            <Text style={styles.modalDesc}>Token: {history.token}</Text>
+          )}
+          {history?.serverError && (
+            <Text style={styles.changesNotice}>
+              ⚠️ Could not read the server history ({history.serverError.status || history.serverError.message}), showing the records of this device.
+            </Text>
+          )}
+
+          <ScrollView style={styles.vendorList} contentContainerStyle={styles.vendorListContent}>
+            {historyLoading ? (
+              <View style={styles.vendorLoading}>
+                <ActivityIndicator size="large" color="#32C832" />
+              </View>
+            ) : history?.entries.length > 0 ? (
+              // Newest first, diffs are computed oldest first
+              [...history.entries].reverse().map(renderHistoryEntry)
+            ) : (
+              <Text style={styles.loadingText}>No consent recorded for this token yet.</Text>
+            )}
+          </ScrollView>
+        </View>
+      </Modal>
+
+      <FirstLayerBanner
+        onAccept={handleBannerChoice(acceptAllConsent)}
+        onReject={handleBannerChoice(rejectAllConsent)}
+        onError={showSubmitError}
+        busy={loading}
+      />
+
+      <PreferenceCenter
+        onSave={() => handleSubmitConsent(false)}
+        onError={showSubmitError}
+        busy={loading}
+      />
+
+      <Modal
+        isVisible={!!activeDocument}
+        onBackdropPress={() => !loading && closeDocument()}
+        onBackButtonPress={() => !loading && closeDocument()}
+        animationIn="slideInUp"
+        animationOut="slideOutDown"
+      >
+        {activeDocument && (
+          <View style={styles.documentModal} accessibilityViewIsModal onAccessibilityEscape={() => !loading && closeDocument()}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle} accessibilityRole="header">{activeDocument.title}</Text>
+              <TouchableOpacity
+                onPress={closeDocument}
+                disabled={loading}
+                accessibilityRole="button"
+                accessibilityLabel={t('close')}
+              >
+                <Text style={styles.closeButton}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.modalDesc}>{activeDocument.description}</Text>
+
+            {collectionConsents[getDocumentKey(activeDocument)] && (
+              <Text style={styles.documentLastChoice}>
+                {t('lastChoice')}: {describeDocumentConsent(collectionConsents[getDocumentKey(activeDocument)])}
+              </Text>
+            )}
+
+            <View style={styles.documentActions}>
+              <TouchableOpacity
+                style={[styles.settingsButton, styles.cancelButton]}
+                onPress={() => handleSubmitDocument(activeDocument, false)}
+                disabled={loading}
+                accessibilityRole="button"
+                accessibilityLabel={t('decline')}
+                accessibilityState={{ disabled: loading }}
+              >
+                <Text style={styles.cancelButtonText}>{t('decline')}</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.settingsButton, styles.saveButton]}
+                onPress={() => handleSubmitDocument(activeDocument, true)}
+                disabled={loading}
+                accessibilityRole="button"
+                accessibilityLabel={t('accept')}
+                accessibilityState={{ disabled: loading, busy: loading }}
+              >
+                {loading ? (
+                  <ActivityIndicator color="white" />
+                ) : (
+                  <Text style={styles.saveButtonText}>{t('accept')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </Modal>
+    </>
+  );
+}
+
+export default function App() {
+  // Outside the provider: bundled texts in the device language
+  const t = useMemo(
+    () => createTranslator(resolveLanguage(getDeviceLanguages(), Object.keys(BUNDLED_TEXTS))),
+    []
+  );
+  const [settingsModalVisible, setSettingsModalVisible] = useState(false);
+  const [savingSettings, setSavingSettings] = useState(false);
+
+  // Settings state
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const [projectId, setProjectId] = useState(DEFAULT_PROJECT_ID);
+  const [environment, setEnvironment] = useState(DEFAULT_ENVIRONMENT);
+  const [tempProjectId, setTempProjectId] = useState(DEFAULT_PROJECT_ID);
+  const [tempEnvironment, setTempEnvironment] = useState(DEFAULT_ENVIRONMENT);
+  const [customApiToken, setCustomApiToken] = useState(''); // Real API token, empty for the test token
+  const [tempApiToken, setTempApiToken] = useState('');
+
+  // Derived values: the test token of the project unless a real API token is set
+  const apiToken = customApiToken || `project_${projectId}_test_token`;
+
+  // Load settings from AsyncStorage
+  const loadSettings = async () => {
     try {
-      const response = await fetch(
-        `${apiBase}/auth/me`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${apiToken}`
-          }
-        }
-      );
+      const savedProjectId = await AsyncStorage.getItem(STORAGE_KEYS.PROJECT_ID);
+      const savedEnvironment = await AsyncStorage.getItem(STORAGE_KEYS.ENVIRONMENT);
+      const savedApiToken = await AsyncStorage.getItem(STORAGE_KEYS.API_TOKEN);
 
-      if (response.ok) {
-        const data = await response.json();
-        Alert.alert(
-          '✅ Auth Status',
-          `Project: ${data.projectId}\nTier: ${data.tier}\nAuthorized: ${data.authorized}`,
-          [{ text: 'OK' }]
-        );
-      } else {
-        const errorText = await response.text();
-        Alert.alert(
-          '❌ Auth Failed',
-          `Status: ${response.status}\n${errorText}`
-        );
+      if (savedProjectId) {
+        setProjectId(savedProjectId);
+        setTempProjectId(savedProjectId);
+      }
+      if (savedEnvironment && ENVIRONMENTS[savedEnvironment]) {
+        setEnvironment(savedEnvironment);
+        setTempEnvironment(savedEnvironment);
+      }
+      if (savedApiToken) {
+        setCustomApiToken(savedApiToken);
+        setTempApiToken(savedApiToken);
       }
+
+      console.log('Settings loaded:', { projectId: savedProjectId || DEFAULT_PROJECT_ID, environment: savedEnvironment || DEFAULT_ENVIRONMENT });
     } catch (error) {
-      Alert.alert('❌ Error', `Could not check auth:\n\n${error.message}`);
+      console.error('Failed to load settings:', error);
     } finally {
-      setLoading(false);
+      setSettingsLoaded(true);
     }
   };
 
-  // Check existing consent status
-  const checkConsentStatus = async () => {
-    if (!lastConsentToken) {
-      Alert.alert(
-        '📋 No Token Available',
-        'No consent has been submitted yet. Please submit a consent first to check its status.',
-        [{ text: 'OK' }]
-      );
-      return;
-    }
-
-    setLoading(true);
-
-    // Ensure we have a configId for the query parameters
-    let currentConfigId = configId;
-    if (!currentConfigId) {
-      currentConfigId = await fetchConfiguration();
-      if (!currentConfigId) {
-        Alert.alert('❌ Error', 'Could not fetch configuration. Please try again.');
-        setLoading(false);
-        return;
-      }
-    }
-    console.log('=== CONSENT READ REQUEST ===');
-    console.log('Reading consent with token:', lastConsentToken);
-    console.log('Request URL:', `${apiBase}/client/${projectId}/consents/${lastConsentToken}?identifier=${currentConfigId}&service=cookies`);
-    console.log('============================');
-
+  // Save settings to AsyncStorage. Use the Keychain/Keystore for API tokens in
+  // production apps (docs/getting-started/authentication.md).
+  const saveSettings = async (newProjectId, newEnvironment, newApiToken) => {
     try {
-      // Use the correct API endpoint format: /mobile/client/{projectId}/consents/{token}?identifier={configId}&service=cookies
-      const response = await fetch(
-        `${apiBase}/client/${projectId}/consents/${lastConsentToken}?identifier=${currentConfigId}&service=cookies`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${apiToken}`
-          }
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        console.log('=== CONSENT READ API RESPONSE ===');
-        console.log('Status:', response.status);
-        console.log('Token used:', lastConsentToken);
-        console.log('Response data:', JSON.stringify(data, null, 2));
-        console.log('================================');
-
-        if (data && typeof data === 'object' && Object.keys(data).length > 0) {
-          const vendorCount = Object.keys(data.preferences?.vendors || {}).length;
-          const acceptedVendors = Object.values(data.preferences?.vendors || {}).filter(Boolean).length;
-
-          const consentInfo = `Consent Found!\n\nAccepted: ${data.accept ? 'Yes' : 'No'}\nTotal Vendors: ${vendorCount}\nAccepted Vendors: ${acceptedVendors}\nToken: ${lastConsentToken}\nTimestamp: ${data.createdAt || data.timestamp || 'Unknown'}\nID: ${data.id || data._id || 'Unknown'}`;
-
-          Alert.alert(
-            '📋 Consent Status',
-            consentInfo,
-            [{ text: 'OK' }]
-          );
-        } else {
-          console.log('❌ Empty or invalid response data');
-          Alert.alert(
-            '📋 No Consent Found',
-            'No existing consent found for this token.',
-            [{ text: 'OK' }]
-          );
-        }
-      } else if (response.status === 404) {
-        const errorText = await response.text();
-        console.log('❌ 404 - No consent found for token:', lastConsentToken);
-        console.log('404 Response body:', errorText);
-        Alert.alert(
-          '📋 No Consent Found',
-          `No existing consent found for token: ${lastConsentToken}`,
-          [{ text: 'OK' }]
-        );
+      await AsyncStorage.setItem(STORAGE_KEYS.PROJECT_ID, newProjectId);
+      await AsyncStorage.setItem(STORAGE_KEYS.ENVIRONMENT, newEnvironment);
+      if (newApiToken) {
+        await AsyncStorage.setItem(STORAGE_KEYS.API_TOKEN, newApiToken);
       } else {
-        const errorText = await response.text();
-        console.log('❌ API Error - Status:', response.status, 'Response:', errorText);
-        Alert.alert(
-          '❌ Error',
-          `Status: ${response.status}\n${errorText}`
-        );
+        await AsyncStorage.removeItem(STORAGE_KEYS.API_TOKEN);
       }
+      console.log('Settings saved:', { projectId: newProjectId, environment: newEnvironment });
     } catch (error) {
-      Alert.alert('❌ Error', `Could not check consent status:\n\n${error.message}`);
-    } finally {
-      setLoading(false);
+      console.error('Failed to save settings:', error);
+      throw error;
     }
   };
 
+  // Load settings on mount
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
   // Open settings modal
   const openSettings = () => {
     setTempProjectId(projectId);
     setTempEnvironment(environment);
+    setTempApiToken(customApiToken);
     setSettingsModalVisible(true);
   };
 
@@ -557,25 +888,19 @@ export default function App() {
       return;
     }
 
-    setLoading(true);
+    setSavingSettings(true);
     try {
-      await saveSettings(tempProjectId, tempEnvironment);
+      await saveSettings(tempProjectId, tempEnvironment, tempApiToken.trim());
       setProjectId(tempProjectId);
       setEnvironment(tempEnvironment);
+      setCustomApiToken(tempApiToken.trim());
       setSettingsModalVisible(false);
 
-      // Reset app state when settings change
-      setConfigId(null);
-      setCurrentUserToken(null);
-      setLastConsentToken(null);
-      setLastConsentId(null);
-      setConsentStatus('Not Set');
-
       Alert.alert('Settings Saved', 'App will reinitialize with new settings');
     } catch (error) {
       Alert.alert('Error', `Failed to save settings:\n\n${error.message}`);
     } finally {
-      setLoading(false);
+      setSavingSettings(false);
     }
   };
 
@@ -583,6 +908,7 @@ export default function App() {
   const handleCancelSettings = () => {
     setTempProjectId(projectId);
     setTempEnvironment(environment);
+    setTempApiToken(customApiToken);
     setSettingsModalVisible(false);
   };
 
@@ -599,266 +925,132 @@ export default function App() {
           onPress: () => {
             setTempProjectId(DEFAULT_PROJECT_ID);
             setTempEnvironment(DEFAULT_ENVIRONMENT);
+            setTempApiToken('');
           }
         }
       ]
     );
   };
 
-  return (
-    <SafeAreaView style={styles.container}>
-      <View style={styles.header}>
-        <Text style={styles.title}>🛡️ Axeptio React Native Demo</Text>
-        <Text style={styles.subtitle}>Headless CMP Widget Example</Text>
-      </View>
-
-      <View style={styles.statusCard}>
-        <Text style={styles.statusLabel}>Current Consent Status:</Text>
-        <Text style={styles.statusValue}>{consentStatus}</Text>
-        {lastConsentId && (
-          <Text style={styles.consentId}>ID: {lastConsentId}</Text>
-        )}
-      </View>
-
-      <View style={styles.infoCard}>
-        <Text style={styles.infoTitle}>📡 API Configuration</Text>
-        <Text style={styles.infoText}>Project ID: {projectId}</Text>
-        <Text style={styles.infoText}>Config ID: {configId || 'Loading...'}</Text>
-        <Text style={styles.infoText}>Environment: {ENVIRONMENTS[environment]?.name || 'Unknown'}</Text>
-        <Text style={styles.infoText}>Collection: cookies</Text>
-        <Text style={styles.infoText}>User Token: {currentUserToken || 'Loading...'}</Text>
-      </View>
-
-      <View style={styles.buttonContainer}>
-        <TouchableOpacity
-          style={styles.primaryButton}
-          onPress={() => setModalVisible(true)}
-          disabled={loading}
-        >
-          <Text style={styles.primaryButtonText}>⚙️ Manage Consent</Text>
-        </TouchableOpacity>
-
-        <TouchableOpacity
-          style={styles.secondaryButton}
-          onPress={checkConsentStatus}
-          disabled={loading}
-        >
-          <Text style={styles.secondaryButtonText}>📋 Check Consent Status</Text>
-        </TouchableOpacity>
-
-        <TouchableOpacity
-          style={styles.secondaryButton}
-          onPress={checkAuth}
-          disabled={loading}
-        >
-          <Text style={styles.secondaryButtonText}>🔐 Check Auth</Text>
-        </TouchableOpacity>
-
-        <TouchableOpacity
-          style={styles.secondaryButton}
-          onPress={generateNewToken}
-          disabled={loading}
-        >
-          <Text style={styles.secondaryButtonText}>🔄 Generate New Token</Text>
-        </TouchableOpacity>
-
-        <TouchableOpacity
-          style={styles.secondaryButton}
-          onPress={openSettings}
-          disabled={loading}
-        >
-          <Text style={styles.secondaryButtonText}>⚙️ Settings</Text>
-        </TouchableOpacity>
-      </View>
-
-      {loading && (
+  if (!settingsLoaded) {
+    return (
+      <SafeAreaView style={styles.container}>
         <ActivityIndicator size="large" color="#32C832" style={styles.loader} />
-      )}
-
-      <Modal 
-        isVisible={modalVisible} 
-        onBackdropPress={() => !loading && setModalVisible(false)}
-        animationIn="slideInUp"
-        animationOut="slideOutDown"
-      >
-        <View style={styles.modal}>
-          <View style={styles.modalHeader}>
-            <Text style={styles.modalTitle}>🍪 Privacy Settings</Text>
-            <TouchableOpacity 
-              onPress={() => setModalVisible(false)}
-              disabled={loading}
-            >
-              <Text style={styles.closeButton}>✕</Text>
-            </TouchableOpacity>
-          </View>
-          
-          <Text style={styles.modalDesc}>
-            We use cookies and similar technologies to improve your experience.
-            Choose which services can process your data.
-          </Text>
-
-          <ScrollView
-            style={styles.vendorList}
-            showsVerticalScrollIndicator={true}
-            contentContainerStyle={styles.vendorListContent}
-          >
-            {vendorsLoading ? (
-              <View style={styles.vendorLoading}>
-                <ActivityIndicator size="large" color="#32C832" />
-                <Text style={styles.loadingText}>Loading vendors...</Text>
-              </View>
-            ) : (
-              Object.entries(apiVendors).map(([key, vendor]) => (
-                <View key={key} style={styles.vendorItem}>
-                  <View style={styles.vendorRow}>
-                    {(vendor.image?.optimized?.small || vendor.image?.optimized?.medium || vendor.image?.fallbackUrl) && !failedImages.has(key) && (
-                      <Image
-                        source={{
-                          uri: vendor.image?.optimized?.small ||
-                               vendor.image?.optimized?.medium ||
-                               vendor.image?.fallbackUrl
-                        }}
-                        style={styles.vendorLogo}
-                        onError={() => {
-                          // Mark this vendor's image as failed to avoid repeated attempts
-                          setFailedImages(prev => new Set([...prev, key]));
-                        }}
-                      />
-                    )}
-                    {((vendor.image?.optimized?.small || vendor.image?.optimized?.medium || vendor.image?.fallbackUrl) && failedImages.has(key)) && (
-                      <View style={[styles.vendorLogo, styles.vendorLogoPlaceholder]}>
-                        <Text style={styles.vendorLogoText}>
-                          {vendor.name.charAt(0).toUpperCase()}
-                        </Text>
-                      </View>
-                    )}
-                    <View style={styles.vendorInfo}>
-                      <Text style={styles.vendorName}>{vendor.name}</Text>
-                      <Text style={styles.vendorDesc}>{vendor.description}</Text>
-                    </View>
-                    <Switch
-                      value={vendors[key] || false}
-                      onValueChange={() => toggleVendor(key)}
-                      trackColor={{ false: '#ddd', true: '#32C832' }}
-                      thumbColor={vendors[key] ? '#fff' : '#f4f3f4'}
-                      disabled={loading || vendorsLoading}
-                    />
-                  </View>
-                </View>
-              ))
-            )}
-          </ScrollView>
-
-          <View style={styles.quickActions}>
-            <TouchableOpacity onPress={acceptAll} disabled={loading || vendorsLoading}>
-              <Text style={styles.quickActionText}>✓ Accept All</Text>
-            </TouchableOpacity>
-            <TouchableOpacity onPress={rejectAll} disabled={loading || vendorsLoading}>
-              <Text style={styles.quickActionText}>✗ Reject All</Text>
-            </TouchableOpacity>
-          </View>
-          
-          <View style={styles.modalButtons}>
-            <TouchableOpacity
-              style={styles.acceptButton}
-              onPress={() => submitConsent(false)}
-              disabled={loading || vendorsLoading}
-            >
-              {loading ? (
-                <ActivityIndicator color="white" />
-              ) : (
-                <Text style={styles.buttonText}>Save My Choices</Text>
-              )}
-            </TouchableOpacity>
-          </View>
-        </View>
-      </Modal>
+      </SafeAreaView>
+    );
+  }
 
-      <Modal
-        isVisible={settingsModalVisible}
-        onBackdropPress={() => !loading && handleCancelSettings()}
-        animationIn="slideInUp"
-        animationOut="slideOutDown"
-      >
-        <View style={styles.modal}>
-          <View style={styles.modalHeader}>
-            <Text style={styles.modalTitle}>Settings</Text>
-            <TouchableOpacity
-              onPress={handleCancelSettings}
-              disabled={loading}
-              style={styles.closeButton}
-            >
-              <Text style={styles.closeButtonText}>✕</Text>
-            </TouchableOpacity>
-          </View>
+  // The provider starts over with a clean consent state on a settings change
+  return (
+    <AxeptioConsentProvider
+      projectId={projectId}
+      environment={environment}
+      apiToken={apiToken}
+    >
+      <SafeAreaView style={styles.container}>
+        <ConsentDemo onOpenSettings={openSettings} />
+
+        <Modal
+          isVisible={settingsModalVisible}
+          onBackdropPress={() => !savingSettings && handleCancelSettings()}
+          onBackButtonPress={() => !savingSettings && handleCancelSettings()}
+          animationIn="slideInUp"
+          animationOut="slideOutDown"
+        >
+          <View style={styles.modal} accessibilityViewIsModal onAccessibilityEscape={() => !savingSettings && handleCancelSettings()}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle} accessibilityRole="header">Settings</Text>
+              <TouchableOpacity
+                onPress={handleCancelSettings}
+                disabled={savingSettings}
+                accessibilityRole="button"
+                accessibilityLabel={t('close')}
+                style={styles.closeButton}
+              >
+                <Text style={styles.closeButtonText}>✕</Text>
+              </TouchableOpacity>
+            </View>
 
-          <ScrollView style={styles.settingsContent}>
-            <Text style={[styles.settingLabel, { marginTop: 8 }]}>Project ID</Text>
-            <TextInput
-              style={styles.textInput}
-              value={tempProjectId}
-              onChangeText={setTempProjectId}
-              placeholder="Enter project ID"
-              editable={!loading}
-              autoCapitalize="none"
-              autoCorrect={false}
-            />
-
-            <Text style={styles.settingLabel}>Environment</Text>
-            <View style={styles.environmentSelector}>
-              {Object.entries(ENVIRONMENTS).map(([key, env]) => (
-                <TouchableOpacity
-                  key={key}
-                  style={[
-                    styles.environmentOption,
-                    tempEnvironment === key && styles.environmentOptionSelected
-                  ]}
-                  onPress={() => setTempEnvironment(key)}
-                  disabled={loading}
-                >
-                  <Text
+            <ScrollView style={styles.settingsContent}>
+              <Text style={[styles.settingLabel, { marginTop: 8 }]}>Project ID</Text>
+              <TextInput
+                style={styles.textInput}
+                value={tempProjectId}
+                onChangeText={setTempProjectId}
+                placeholder="Enter project ID"
+                editable={!savingSettings}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <Text style={styles.settingLabel}>API Token</Text>
+              <TextInput
+                style={styles.textInput}
+                value={tempApiToken}
+                onChangeText={setTempApiToken}
+                placeholder="Empty uses the project test token"
+                editable={!savingSettings}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+
+              <Text style={styles.settingLabel}>Environment</Text>
+              <View style={styles.environmentSelector}>
+                {Object.entries(ENVIRONMENTS).map(([key, env]) => (
+                  <TouchableOpacity
+                    key={key}
                     style={[
-                      styles.environmentOptionText,
-                      tempEnvironment === key && styles.environmentOptionTextSelected
+                      styles.environmentOption,
+                      tempEnvironment === key && styles.environmentOptionSelected
                     ]}
+                    onPress={() => setTempEnvironment(key)}
+                    disabled={savingSettings}
                   >
-                    {env.name}
-                  </Text>
-                </TouchableOpacity>
-              ))}
-            </View>
-
-            <TouchableOpacity
-              style={styles.resetButton}
-              onPress={handleResetSettings}
-              disabled={loading}
-            >
-              <Text style={styles.resetButtonText}>Reset to Defaults</Text>
-            </TouchableOpacity>
-          </ScrollView>
-
-          <View style={styles.settingsActions}>
-            <TouchableOpacity
-              style={[styles.settingsButton, styles.cancelButton]}
-              onPress={handleCancelSettings}
-              disabled={loading}
-            >
-              <Text style={styles.cancelButtonText}>Cancel</Text>
-            </TouchableOpacity>
+                    <Text
+                      style={[
+                        styles.environmentOptionText,
+                        tempEnvironment === key && styles.environmentOptionTextSelected
+                      ]}
+                    >
+                      {env.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
 
-            <TouchableOpacity
-              style={[styles.settingsButton, styles.saveButton]}
-              onPress={handleSaveSettings}
-              disabled={loading}
-            >
-              <Text style={styles.saveButtonText}>
-                {loading ? 'Saving...' : 'Save'}
-              </Text>
-            </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.resetButton}
+                onPress={handleResetSettings}
+                disabled={savingSettings}
+              >
+                <Text style={styles.resetButtonText}>Reset to Defaults</Text>
+              </TouchableOpacity>
+            </ScrollView>
+
+            <View style={styles.settingsActions}>
+              <TouchableOpacity
+                style={[styles.settingsButton, styles.cancelButton]}
+                onPress={handleCancelSettings}
+                disabled={savingSettings}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.settingsButton, styles.saveButton]}
+                onPress={handleSaveSettings}
+                disabled={savingSettings}
+              >
+                <Text style={styles.saveButtonText}>
+                  {savingSettings ? 'Saving...' : 'Save'}
+                </Text>
+              </TouchableOpacity>
+            </View>
           </View>
-        </View>
-      </Modal>
-    </SafeAreaView>
+        </Modal>
+      </SafeAreaView>
+    </AxeptioConsentProvider>
   );
 }
 
@@ -867,6 +1059,9 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f8f9fa'
   },
+  screenContent: {
+    paddingBottom: 20
+  },
   header: {
     padding: 20,
     backgroundColor: 'white',
@@ -910,6 +1105,29 @@ const styles = StyleSheet.create({
     color: '#95a5a6',
     marginTop: 5
   },
+  consentMode: {
+    fontSize: 11,
+    color: '#95a5a6',
+    marginTop: 5
+  },
+  errorCard: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+    padding: 15,
+    backgroundColor: '#fdecea',
+    borderRadius: 8
+  },
+  errorTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#c0392b',
+    marginBottom: 8
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#c0392b',
+    marginBottom: 3
+  },
   infoCard: {
     marginHorizontal: 20,
     marginBottom: 20,
@@ -928,6 +1146,59 @@ const styles = StyleSheet.create({
     color: '#7f8c8d',
     marginBottom: 3
   },
+  accountCard: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+    padding: 15,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0'
+  },
+  accountButton: {
+    marginTop: 8
+  },
+  documentsCard: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+    padding: 15,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0'
+  },
+  documentRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8
+  },
+  documentRowTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#2c3e50'
+  },
+  documentRowStatus: {
+    fontSize: 12,
+    color: '#7f8c8d'
+  },
+  documentModal: {
+    backgroundColor: 'white',
+    borderRadius: 16
+  },
+  documentLastChoice: {
+    fontSize: 13,
+    color: '#2c3e50',
+    paddingHorizontal: 20,
+    paddingBottom: 10
+  },
+  documentActions: {
+    flexDirection: 'row',
+    gap: 12,
+    padding: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0'
+  },
   buttonContainer: {
     paddingHorizontal: 20,
     gap: 12
@@ -999,69 +1270,43 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     paddingBottom: 10
   },
-  vendorItem: {
+  changesNotice: {
+    fontSize: 13,
+    color: '#2c3e50',
+    backgroundColor: '#f0fbf0',
+    marginHorizontal: 20,
+    marginBottom: 10,
+    padding: 10,
+    borderRadius: 8
+  },
+  historyEntry: {
     paddingVertical: 12,
     borderBottomWidth: 1,
     borderBottomColor: '#f0f0f0'
   },
-  vendorRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'space-between'
-  },
-  vendorLogo: {
-    width: 32,
-    height: 32,
-    borderRadius: 6,
-    marginRight: 12,
-    backgroundColor: '#f5f5f5'
-  },
-  vendorLogoPlaceholder: {
-    backgroundColor: '#e0e0e0',
-    justifyContent: 'center',
-    alignItems: 'center'
-  },
-  vendorLogoText: {
-    fontSize: 14,
-    fontWeight: 'bold',
-    color: '#666'
-  },
-  vendorInfo: {
-    flex: 1,
-    marginRight: 10
-  },
-  vendorName: {
-    fontSize: 16,
-    fontWeight: '500',
+  historyDate: {
+    fontSize: 15,
+    fontWeight: '600',
     color: '#2c3e50',
     marginBottom: 2
   },
-  vendorDesc: {
+  historyMeta: {
     fontSize: 12,
-    color: '#95a5a6'
-  },
-  quickActions: {
-    flexDirection: 'row',
-    justifyContent: 'space-around',
-    paddingVertical: 10,
-    paddingHorizontal: 20,
-    borderTopWidth: 1,
-    borderTopColor: '#f0f0f0'
+    color: '#95a5a6',
+    marginBottom: 2
   },
-  quickActionText: {
-    color: '#3498db',
-    fontSize: 14,
-    fontWeight: '500'
+  historyText: {
+    fontSize: 13,
+    color: '#2c3e50',
+    marginBottom: 2
   },
-  modalButtons: {
-    padding: 20,
-    gap: 10
+  historyGranted: {
+    fontSize: 13,
+    color: '#27ae60'
   },
-  acceptButton: {
-    backgroundColor: '#32C832',
-    padding: 15,
-    borderRadius: 8,
-    alignItems: 'center'
+  historyRevoked: {
+    fontSize: 13,
+    color: '#e74c3c'
   },
   saveButton: {
     backgroundColor: '#7f8c8d',
@@ -1069,11 +1314,6 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     alignItems: 'center'
   },
-  buttonText: {
-    color: 'white',
-    fontSize: 16,
-    fontWeight: '600'
-  },
   vendorLoading: {
     padding: 40,
     alignItems: 'center',
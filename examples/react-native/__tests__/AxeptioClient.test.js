@@ -0,0 +1,513 @@
+import { AxeptioClient, findConsentId } from '../src/AxeptioClient';
+import {
+  AuthError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError
+} from '../src/errors';
+
+// Response of the stubbed fetch: only what AxeptioClient.request() reads
+const respond = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: new Headers(headers),
+  text: async () => (body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body))
+});
+
+const createClient = (options = {}) => new AxeptioClient({
+  projectId: 'project_1',
+  apiToken: 'api_token',
+  environment: 'staging',
+  ...options
+});
+
+// JWT API token expiring `seconds` from now
+const jwt = (seconds) =>
+  `e30.${Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + seconds })).toString('base64url')}.signature`;
+
+const authorizationOf = (call) => call[1].headers.Authorization;
+
+describe('AxeptioClient', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+  });
+
+  describe('request', () => {
+    it('sends the API token and JSON body to the environment URL', async () => {
+      fetchMock.mockResolvedValue(respond(201, { id: 'consent_1' }));
+
+      await createClient().submitConsent('cookies_config', { accept: true, token: 'user_token' });
+
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://staging-api.axeptio.tech/mobile/consents/project_1/cookies/cookies_config',
+        {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'Authorization': 'Bearer api_token',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ accept: true, token: 'user_token' })
+        }
+      );
+    });
+
+    it('uses the given baseUrl instead of the environment URL', async () => {
+      fetchMock.mockResolvedValue(respond(200, { token: 'user_token' }));
+      const client = new AxeptioClient({ projectId: 'project_1', apiToken: 'api_token', baseUrl: 'http://localhost:4000/mobile' });
+
+      await client.fetchToken();
+
+      expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:4000/mobile/token');
+    });
+
+    it('rejects with an AuthError carrying the status, body and endpoint on 401/403', async () => {
+      fetchMock
+        .mockResolvedValueOnce(respond(401, { message: 'Invalid API token' }))
+        .mockResolvedValueOnce(respond(403, { message: 'Forbidden' }));
+      const client = createClient();
+
+      const unauthorized = await client.fetchConfiguration().catch(e => e);
+      expect(unauthorized).toBeInstanceOf(AuthError);
+      expect(unauthorized).toMatchObject({
+        status: 401,
+        body: { message: 'Invalid API token' },
+        method: 'GET',
+        endpoint: '/configurations/project_1'
+      });
+      await expect(client.checkAuth()).rejects.toBeInstanceOf(AuthError);
+    });
+
+    it('rejects with a ServerError and the raw text on 5xx', async () => {
+      fetchMock.mockResolvedValue(respond(503, 'Service Unavailable'));
+
+      const error = await createClient().fetchVendors().catch(e => e);
+
+      expect(error).toBeInstanceOf(ServerError);
+      expect(error).toMatchObject({ status: 503, body: { message: 'Service Unavailable' } });
+      expect(error.retryable).toBe(true);
+    });
+
+    it('rejects with a ValidationError on 400/422', async () => {
+      fetchMock.mockResolvedValue(respond(422, { message: 'Invalid consent' }));
+
+      const error = await createClient().submitConsent('cookies_config', {}).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toMatchObject({
+        status: 422,
+        method: 'POST',
+        endpoint: '/consents/project_1/cookies/cookies_config'
+      });
+    });
+
+    it('rejects with a RateLimitError and the Retry-After delay on 429', async () => {
+      fetchMock.mockResolvedValue(respond(429, { message: 'Slow down' }, { 'Retry-After': '30' }));
+
+      const error = await createClient().fetchToken().catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error).toMatchObject({ status: 429, retryAfter: 30, endpoint: '/token' });
+    });
+
+    it('rejects with a NetworkError without status when fetch fails', async () => {
+      const failure = new TypeError('Network request failed');
+      fetchMock.mockRejectedValue(failure);
+
+      const error = await createClient().fetchToken().catch(e => e);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error).toMatchObject({ status: null, method: 'GET', endpoint: '/token', cause: failure });
+      expect(error.message).toBe('Network error: Network request failed');
+    });
+  });
+
+  describe('API token', () => {
+    it('rejects before sending when there is no token', async () => {
+      await expect(createClient({ apiToken: null }).fetchToken()).rejects.toBeInstanceOf(AuthError);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('rejects before sending when the token expired and there is no provider', async () => {
+      const error = await createClient({ apiToken: jwt(-60) }).fetchToken().catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ status: null, endpoint: '/token' });
+      expect(error.message).toMatch(/^API token expired on /);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('gets the first token from the provider', async () => {
+      const tokenProvider = jest.fn().mockResolvedValue('provided_token');
+      fetchMock.mockResolvedValue(respond(200, { token: 'user_token' }));
+
+      await createClient({ apiToken: null, tokenProvider }).fetchToken();
+
+      expect(tokenProvider).toHaveBeenCalledWith({ reason: 'initial', previousToken: null });
+      expect(authorizationOf(fetchMock.mock.calls[0])).toBe('Bearer provided_token');
+    });
+
+    it('refreshes the token through the provider before it expires', async () => {
+      const expiring = jwt(30);
+      const fresh = jwt(3600);
+      const tokenProvider = jest.fn().mockResolvedValue(fresh);
+      fetchMock.mockResolvedValue(respond(200, { token: 'user_token' }));
+      const client = createClient({ apiToken: expiring, tokenProvider });
+
+      await client.fetchToken();
+      await client.fetchToken();
+
+      expect(tokenProvider).toHaveBeenCalledTimes(1);
+      expect(tokenProvider).toHaveBeenCalledWith({ reason: 'expiring', previousToken: expiring });
+      expect(fetchMock.mock.calls.map(authorizationOf)).toEqual([`Bearer ${fresh}`, `Bearer ${fresh}`]);
+    });
+
+    it('shares one refresh between concurrent requests', async () => {
+      const tokenProvider = jest.fn().mockResolvedValue('provided_token');
+      fetchMock.mockResolvedValue(respond(200, { token: 'user_token' }));
+      const client = createClient({ apiToken: null, tokenProvider });
+
+      await Promise.all([client.fetchToken(), client.fetchToken(), client.fetchToken()]);
+
+      expect(tokenProvider).toHaveBeenCalledTimes(1);
+    });
+
+    it('refreshes the token and retries once after a 401', async () => {
+      const tokenProvider = jest.fn().mockResolvedValue('fresh_token');
+      fetchMock
+        .mockResolvedValueOnce(respond(401, { message: 'Token revoked' }))
+        .mockResolvedValueOnce(respond(200, { token: 'user_token' }));
+      const client = createClient({ tokenProvider });
+
+      await expect(client.fetchToken()).resolves.toBe('user_token');
+
+      expect(tokenProvider).toHaveBeenCalledWith({ reason: 'unauthorized', previousToken: 'api_token' });
+      expect(fetchMock.mock.calls.map(authorizationOf)).toEqual(['Bearer api_token', 'Bearer fresh_token']);
+      expect(client.apiToken).toBe('fresh_token');
+    });
+
+    it('rejects with the second 401 instead of retrying again', async () => {
+      const tokenProvider = jest.fn().mockResolvedValue('fresh_token');
+      fetchMock.mockResolvedValue(respond(401, { message: 'Token revoked' }));
+
+      const error = await createClient({ tokenProvider }).fetchToken().catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.status).toBe(401);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(tokenProvider).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not refresh after a 401 without provider or after a 403', async () => {
+      const tokenProvider = jest.fn().mockResolvedValue('fresh_token');
+      fetchMock
+        .mockResolvedValueOnce(respond(401))
+        .mockResolvedValueOnce(respond(403));
+
+      await expect(createClient().fetchToken()).rejects.toMatchObject({ status: 401 });
+      await expect(createClient({ tokenProvider }).fetchToken()).rejects.toMatchObject({ status: 403 });
+      expect(tokenProvider).not.toHaveBeenCalled();
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects with an AuthError when the provider fails', async () => {
+      const failure = new Error('Session expired');
+      const tokenProvider = jest.fn().mockRejectedValue(failure);
+
+      const error = await createClient({ apiToken: null, tokenProvider }).fetchToken().catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.message).toBe('Could not get an API token: Session expired');
+      expect(error.cause).toBe(failure);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('rejects with an AuthError when the provider returns no token', async () => {
+      const tokenProvider = jest.fn().mockResolvedValue(null);
+
+      await expect(createClient({ apiToken: null, tokenProvider }).fetchToken()).rejects.toBeInstanceOf(AuthError);
+    });
+  });
+
+  describe('checkAuth', () => {
+    it('reports the scopes, missing scopes and token expiry', async () => {
+      const apiToken = jwt(3600);
+      fetchMock.mockResolvedValue(respond(200, { projectId: 'project_1', authorized: true, scopes: ['read_projects'] }));
+
+      const auth = await createClient({ apiToken }).checkAuth();
+
+      expect(auth).toMatchObject({
+        projectId: 'project_1',
+        scopes: ['read_projects'],
+        missingScopes: ['manage_consents']
+      });
+      expect(auth.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('reports no missing scopes when the API does not list them', async () => {
+      fetchMock.mockResolvedValue(respond(200, { projectId: 'project_1', authorized: true }));
+
+      await expect(createClient().checkAuth()).resolves.toMatchObject({
+        scopes: null,
+        missingScopes: [],
+        expiresAt: null
+      });
+    });
+  });
+
+  describe('verifyAuth', () => {
+    it('resolves for an authorized token with the required scopes', async () => {
+      fetchMock.mockResolvedValue(respond(200, { authorized: true, scopes: ['read_projects', 'manage_consents'] }));
+
+      await expect(createClient().verifyAuth()).resolves.toMatchObject({ missingScopes: [] });
+    });
+
+    it('rejects with an AuthError for missing scopes or an unauthorized token', async () => {
+      fetchMock
+        .mockResolvedValueOnce(respond(200, { authorized: true, scopes: ['read_projects'] }))
+        .mockResolvedValueOnce(respond(200, { authorized: false }));
+      const client = createClient();
+
+      const missing = await client.verifyAuth().catch(e => e);
+      expect(missing).toBeInstanceOf(AuthError);
+      expect(missing.message).toBe('The API token is missing scopes: manage_consents');
+      expect(missing.endpoint).toBe('/auth/me');
+      await expect(client.verifyAuth()).rejects.toBeInstanceOf(AuthError);
+    });
+  });
+
+  describe('fetchConfiguration', () => {
+    it('returns the project configuration', async () => {
+      fetchMock.mockResolvedValue(respond(200, { defaultConfigId: 'cookies_config', steps: [] }));
+
+      await expect(createClient().fetchConfiguration()).resolves.toEqual({
+        defaultConfigId: 'cookies_config',
+        steps: []
+      });
+      expect(fetchMock.mock.calls[0][0]).toMatch(/\/configurations\/project_1$/);
+    });
+
+    it('rejects with a NotFoundError on 404', async () => {
+      fetchMock.mockResolvedValue(respond(404, { message: 'Project not found' }));
+
+      await expect(createClient().fetchConfiguration()).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('rejects with a ValidationError when there is no defaultConfigId', async () => {
+      fetchMock.mockResolvedValue(respond(200, { steps: [] }));
+
+      const error = await createClient().fetchConfiguration().catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toMatchObject({ status: 200, body: { steps: [] }, endpoint: '/configurations/project_1' });
+    });
+  });
+
+  describe('fetchVendors', () => {
+    it('returns the vendor list', async () => {
+      fetchMock.mockResolvedValue(respond(200, { vendors: [{ id: 'mixpanel', title: 'Mixpanel' }] }));
+
+      await expect(createClient().fetchVendors()).resolves.toEqual([{ id: 'mixpanel', title: 'Mixpanel' }]);
+    });
+
+    it('rejects when the response has no vendors', async () => {
+      fetchMock.mockResolvedValue(respond(200, {}));
+
+      const error = await createClient().fetchVendors().catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Vendors not found in API response');
+    });
+  });
+
+  describe('fetchToken', () => {
+    it('returns the new user token', async () => {
+      fetchMock.mockResolvedValue(respond(200, { token: 'user_token' }));
+
+      await expect(createClient().fetchToken()).resolves.toBe('user_token');
+    });
+
+    it('rejects when the response has no token', async () => {
+      fetchMock.mockResolvedValue(respond(200, {}));
+
+      const error = await createClient().fetchToken().catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Token not found in API response');
+    });
+  });
+
+  describe('submitConsent', () => {
+    it('returns the status, response and consent ID', async () => {
+      fetchMock.mockResolvedValue(respond(201, { _id: 'consent_1', accept: true }));
+
+      await expect(createClient().submitConsent('cookies_config', { accept: true })).resolves.toEqual({
+        status: 201,
+        data: { _id: 'consent_1', accept: true },
+        consentId: 'consent_1'
+      });
+    });
+
+    it('posts to the given collection', async () => {
+      fetchMock.mockResolvedValue(respond(201, { id: 'consent_1' }));
+
+      await createClient().submitConsent('terms_of_service', { accept: true }, 'contract');
+
+      expect(fetchMock.mock.calls[0][0]).toMatch(/\/consents\/project_1\/contract\/terms_of_service$/);
+    });
+
+    it('returns a null consent ID for an empty response', async () => {
+      fetchMock.mockResolvedValue(respond(204));
+
+      await expect(createClient().submitConsent('cookies_config', { accept: true })).resolves.toEqual({
+        status: 204,
+        data: null,
+        consentId: null
+      });
+    });
+  });
+
+  describe('getConsent', () => {
+    it('reads the consent of a token for a configuration and collection', async () => {
+      fetchMock.mockResolvedValue(respond(200, { id: 'consent_1', accept: true }));
+
+      await expect(createClient().getConsent('user token', 'cookies_config')).resolves.toEqual({
+        id: 'consent_1',
+        accept: true
+      });
+      expect(fetchMock.mock.calls[0][0]).toMatch(
+        /\/client\/project_1\/consents\/user%20token\?identifier=cookies_config&service=cookies$/
+      );
+    });
+
+    it('returns null on 404', async () => {
+      fetchMock.mockResolvedValue(respond(404, { message: 'Consent not found' }));
+
+      await expect(createClient().getConsent('user_token', 'cookies_config')).resolves.toBeNull();
+    });
+
+    it('returns null for an empty response', async () => {
+      fetchMock.mockResolvedValue(respond(200, {}));
+
+      await expect(createClient().getConsent('user_token', 'cookies_config')).resolves.toBeNull();
+    });
+
+    it('rejects on 401 and 5xx', async () => {
+      fetchMock
+        .mockResolvedValueOnce(respond(401, { message: 'Invalid API token' }))
+        .mockResolvedValueOnce(respond(500, { message: 'Internal error' }));
+      const client = createClient();
+
+      await expect(client.getConsent('user_token', 'cookies_config')).rejects.toBeInstanceOf(AuthError);
+      await expect(client.getConsent('user_token', 'cookies_config')).rejects.toBeInstanceOf(ServerError);
+    });
+  });
+
+  describe('getConsentHistory', () => {
+    it('accepts a bare array or a wrapped list', async () => {
+      fetchMock
+        .mockResolvedValueOnce(respond(200, [{ id: 'consent_1' }]))
+        .mockResolvedValueOnce(respond(200, { consents: [{ id: 'consent_2' }] }))
+        .mockResolvedValueOnce(respond(200, { history: [{ id: 'consent_3' }] }));
+      const client = createClient();
+
+      await expect(client.getConsentHistory('user_token')).resolves.toEqual([{ id: 'consent_1' }]);
+      await expect(client.getConsentHistory('user_token')).resolves.toEqual([{ id: 'consent_2' }]);
+      await expect(client.getConsentHistory('user_token')).resolves.toEqual([{ id: 'consent_3' }]);
+    });
+
+    it('rejects on 404, the API has no history route', async () => {
+      fetchMock.mockResolvedValue(respond(404));
+
+      await expect(createClient().getConsentHistory('user_token')).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('linkAccount', () => {
+    it('posts the user token to the account', async () => {
+      fetchMock.mockResolvedValue(respond(200, { accountId: 'user@example.com', tokens: ['token_1', 'token_2'] }));
+
+      await expect(createClient().linkAccount('token_2', 'user@example.com')).resolves.toEqual({
+        status: 200,
+        tokens: ['token_1', 'token_2']
+      });
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toMatch(/\/client\/project_1\/accounts\/user%40example\.com\/tokens$/);
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body)).toEqual({ token: 'token_2' });
+    });
+  });
+
+  describe('getAccountConsent', () => {
+    it('reads the latest consent of an account', async () => {
+      fetchMock.mockResolvedValue(respond(200, { id: 'consent_1', token: 'token_1' }));
+
+      await expect(createClient().getAccountConsent('user@example.com', 'cookies_config')).resolves.toEqual({
+        id: 'consent_1',
+        token: 'token_1'
+      });
+      expect(fetchMock.mock.calls[0][0]).toMatch(
+        /\/client\/project_1\/accounts\/user%40example\.com\/consents\?identifier=cookies_config&service=cookies$/
+      );
+    });
+
+    it('returns null on 404', async () => {
+      fetchMock.mockResolvedValue(respond(404, { message: 'Consent not found' }));
+
+      await expect(createClient().getAccountConsent('user@example.com', 'cookies_config')).resolves.toBeNull();
+    });
+  });
+
+  describe('eraseConsents', () => {
+    it('deletes the consents of a token and returns how many were deleted', async () => {
+      fetchMock.mockResolvedValue(respond(200, { token: 'user token', deletedCount: 3 }));
+
+      await expect(createClient().eraseConsents('user token')).resolves.toEqual({ status: 200, deletedCount: 3 });
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toMatch(/\/client\/project_1\/consents\/user%20token$/);
+      expect(options.method).toBe('DELETE');
+      expect(options.body).toBeUndefined();
+    });
+
+    it('returns a null count when the API does not report one', async () => {
+      fetchMock.mockResolvedValue(respond(204));
+
+      await expect(createClient().eraseConsents('user_token')).resolves.toEqual({ status: 204, deletedCount: null });
+    });
+
+    it('rejects on 404, e.g. an API without the mock-only erasure route, and on other errors', async () => {
+      fetchMock
+        .mockResolvedValueOnce(respond(404, { message: 'Not found' }))
+        .mockResolvedValueOnce(respond(403, { message: 'Missing scope' }));
+      const client = createClient();
+
+      await expect(client.eraseConsents('user_token')).rejects.toBeInstanceOf(NotFoundError);
+      await expect(client.eraseConsents('user_token')).rejects.toBeInstanceOf(AuthError);
+    });
+  });
+});
+
+describe('findConsentId', () => {
+  it.each([
+    [{ id: 'a' }, 'a'],
+    [{ _id: 'b' }, 'b'],
+    [{ consentId: 'c' }, 'c'],
+    [{ uuid: 'd' }, 'd'],
+    [{ insertedId: 'e' }, 'e']
+  ])('finds the ID in %j', (data, expected) => {
+    expect(findConsentId(data)).toBe(expected);
+  });
+
+  it('prefers the first known field', () => {
+    expect(findConsentId({ insertedId: 'e', id: 'a' })).toBe('a');
+  });
+
+  it.each([null, undefined, 'consent_1', {}, { accept: true }])('returns null for %j', (data) => {
+    expect(findConsentId(data)).toBeNull();
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * @jest-environment node
+ */
+// AxeptioConsentProvider against the local mock API: the hooks are rendered
+// with React Native Testing Library and the `local-dev` environment points
+// at an in-process mock server.
+
+import React from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { act, renderHook, waitFor } from '@testing-library/react-native';
+import { AxeptioConsentProvider, useConsent } from '../src/AxeptioConsentProvider';
+import { ConsentQueue } from '../src/ConsentQueue';
+import { CONSENT_REGION_RULES, ENVIRONMENTS } from '../src/config';
+import { saveUserToken } from '../src/consentStorage';
+import { AuthError, NetworkError, NotFoundError, ServerError, ValidationError } from '../src/errors';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+
+const { createMockServer } = require('../mock-server/server');
+
+const PROJECT_ID = 'provider_project';
+
+describe('AxeptioConsentProvider', () => {
+  let mock;
+  let localDevUrl;
+
+  beforeAll(async () => {
+    mock = createMockServer();
+    localDevUrl = ENVIRONMENTS['local-dev'].url;
+    ENVIRONMENTS['local-dev'].url = await mock.listen(0);
+  });
+
+  afterAll(async () => {
+    ENVIRONMENTS['local-dev'].url = localDevUrl;
+    await mock.close();
+  });
+
+  beforeEach(async () => {
+    mock.reset();
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // useConsent() of a provider for the mock project, once it has loaded
+  const renderConsent = async (props = {}) => {
+    const wrapper = ({ children }) => (
+      <AxeptioConsentProvider
+        projectId={PROJECT_ID}
+        environment="local-dev"
+        apiToken="api_token"
+        region="FR"
+        {...props}
+      >
+        {children}
+      </AxeptioConsentProvider>
+    );
+    const rendered = renderHook(() => useConsent(), { wrapper });
+    await waitFor(() => expect(rendered.result.current.isLoaded).toBe(true));
+    return rendered;
+  };
+
+  describe('credentials', () => {
+    it('loads again with a new API token', async () => {
+      let apiToken = 'revoked_token';
+      const wrapper = ({ children }) => (
+        <AxeptioConsentProvider projectId={PROJECT_ID} environment="local-dev" apiToken={apiToken} region="FR">
+          {children}
+        </AxeptioConsentProvider>
+      );
+      mock.injectError('authMe', { status: 401, times: 1 });
+      const { result, rerender } = renderHook(() => useConsent(), { wrapper });
+      await waitFor(() => expect(result.current.loadErrors.auth).toBeInstanceOf(AuthError));
+
+      apiToken = 'api_token';
+      rerender();
+
+      await waitFor(() => expect(result.current.loadErrors.auth).toBeNull());
+      expect(mock.state.requests.filter(request => request.route === 'authMe')).toHaveLength(2);
+    });
+  });
+
+  describe('project change', () => {
+    const renderProject = async () => {
+      let projectId = PROJECT_ID;
+      const wrapper = ({ children }) => (
+        <AxeptioConsentProvider projectId={projectId} environment="local-dev" apiToken="api_token" region="FR">
+          {children}
+        </AxeptioConsentProvider>
+      );
+      const rendered = renderHook(() => useConsent(), { wrapper });
+      await waitFor(() => expect(rendered.result.current.isLoaded).toBe(true));
+      const switchTo = (nextProjectId) => {
+        projectId = nextProjectId;
+        rendered.rerender();
+      };
+      return { ...rendered, switchTo };
+    };
+
+    it('forgets the consent of the previous project', async () => {
+      const { result, switchTo } = await renderProject();
+      await act(() => result.current.acceptAllConsent());
+      const token = result.current.currentUserToken;
+
+      switchTo('other_project');
+
+      await waitFor(() => expect(result.current.isLoaded).toBe(true));
+      expect(result.current.consent).toBeNull();
+      expect(result.current.consentStatus).toBe('Not Set');
+      expect(result.current.lastConsentId).toBeNull();
+      expect(result.current.currentUserToken).not.toBe(token);
+      expect(result.current.bannerVisible).toBe(true);
+    });
+
+    it('ignores a load superseded by a newer one', async () => {
+      const { result, switchTo } = await renderProject();
+      await act(() => result.current.acceptAllConsent());
+      switchTo('other_project');
+      await waitFor(() => expect(result.current.isLoaded).toBe(true));
+
+      // Back to the project with a consent and away again before it loaded
+      switchTo(PROJECT_ID);
+      switchTo('other_project');
+      await waitFor(() => expect(result.current.isLoaded).toBe(true));
+      await act(() => new Promise(resolve => setTimeout(resolve, 200)));
+
+      expect(result.current.consent).toBeNull();
+      expect(result.current.bannerVisible).toBe(true);
+    });
+  });
+
+  describe('first-layer banner', () => {
+    it('shows on first launch in an opt-in region', async () => {
+      const { result } = await renderConsent({ region: 'FR' });
+
+      expect(result.current.bannerVisible).toBe(true);
+      expect(result.current.modalVisible).toBe(false);
+    });
+
+    it('stays hidden in opt-out and none regions', async () => {
+      const optOut = await renderConsent({ region: 'US' });
+      expect(optOut.result.current.bannerVisible).toBe(false);
+      optOut.unmount();
+
+      CONSENT_REGION_RULES.unshift({ id: 'no_law', law: null, regime: 'none', countries: ['JP'] });
+      try {
+        const none = await renderConsent({ region: 'JP' });
+        expect(none.result.current.consentRegion.rule.id).toBe('no_law');
+        expect(none.result.current.bannerVisible).toBe(false);
+      } finally {
+        CONSENT_REGION_RULES.shift();
+      }
+    });
+
+    it('refuses every vendor with rejectAllConsent', async () => {
+      const { result } = await renderConsent();
+
+      await act(() => result.current.rejectAllConsent());
+
+      const submitted = mock.state.consents.at(-1).preferences.vendors;
+      expect(Object.keys(submitted)).toHaveLength(3);
+      expect(Object.values(submitted).every(accepted => accepted === false)).toBe(true);
+      expect(result.current.bannerVisible).toBe(false);
+    });
+
+    it('comes back when the preference center is closed without a choice', async () => {
+      const { result } = await renderConsent();
+
+      await act(() => result.current.openConsentModal());
+      expect(result.current.bannerVisible).toBe(false);
+
+      act(() => result.current.closeConsentModal());
+      expect(result.current.bannerVisible).toBe(true);
+    });
+  });
+
+  describe('offline queue', () => {
+    it('asks again once the queue gives up on a consent', async () => {
+      const { result } = await renderConsent();
+      mock.injectError('submitConsent', { status: 503, times: 1 });
+      await act(() => result.current.acceptAllConsent());
+      expect(result.current.consent.pending).toBe(true);
+      expect(result.current.bannerVisible).toBe(false);
+
+      // The replay is refused for good
+      mock.injectError('submitConsent', { status: 400, times: 1 });
+      const [, onAppStateChange] = AppState.addEventListener.mock.calls.at(-1);
+      act(() => onAppStateChange('active'));
+
+      await waitFor(() => expect(result.current.bannerVisible).toBe(true));
+      expect(result.current.consent).toBeNull();
+      expect(result.current.consentStatus).toBe('⚠️ Not Saved');
+      expect(await new ConsentQueue().getQueue()).toEqual([]);
+      expect(await AsyncStorage.getAllKeys()).not.toContainEqual(expect.stringContaining('last_consent'));
+    });
+  });
+
+  describe('getConsentHistory', () => {
+    it('shows the device records with the error when the API has no history route', async () => {
+      const { result } = await renderConsent();
+      await act(() => result.current.acceptAllConsent());
+      mock.injectError('getConsentHistory', { status: 404 });
+
+      let history;
+      await act(async () => {
+        history = await result.current.getConsentHistory();
+      });
+
+      expect(history.serverError).toBeInstanceOf(NotFoundError);
+      expect(history.entries).toHaveLength(1);
+    });
+  });
+
+  describe('exportConsentData', () => {
+    // Consent made on another device, known to this one only through the server
+    const seedServerConsent = (token) => mock.state.consents.push({
+      id: 'consent_web',
+      projectId: PROJECT_ID,
+      collection: 'processing',
+      configId: 'newsletter',
+      token,
+      accept: true,
+      preferences: {},
+      createdAt: '2026-01-01T10:00:00.000Z'
+    });
+
+    it('reads each server record once from the history and the latest consents', async () => {
+      const { result } = await renderConsent();
+      await act(() => result.current.acceptAllConsent());
+      seedServerConsent(result.current.currentUserToken);
+
+      let consentExport;
+      await act(async () => {
+        consentExport = await result.current.exportConsentData();
+      });
+
+      expect(consentExport.errors).toEqual([]);
+      expect(consentExport.records.server.cookies).toHaveLength(1);
+      expect(consentExport.records.server.processing).toEqual([expect.objectContaining({ id: 'consent_web' })]);
+      expect(consentExport.consents.map(consent => consent.sources)).toEqual([['server'], ['server', 'device']]);
+    });
+
+    it('exports the latest consents and flags the export as incomplete without the history route', async () => {
+      const { result } = await renderConsent();
+      await act(() => result.current.acceptAllConsent());
+      seedServerConsent(result.current.currentUserToken);
+      mock.injectError('getConsentHistory', { status: 404 });
+
+      let consentExport;
+      await act(async () => {
+        consentExport = await result.current.exportConsentData();
+      });
+
+      expect(consentExport.consents).toEqual([
+        expect.objectContaining({ consentId: 'consent_web', sources: ['server'] }),
+        expect.objectContaining({ collection: 'cookies', sources: ['server', 'device'] })
+      ]);
+      expect(consentExport.errors).toEqual(['cookies', 'processing', 'contract'].map(collection => ({
+        collection,
+        message: 'The API has no consent history, only the latest consent of each configuration is exported',
+        status: 404
+      })));
+    });
+  });
+
+  describe('eraseConsentData', () => {
+    it('keeps the queued consents when the erasure fails', async () => {
+      const { result } = await renderConsent();
+      mock.injectError('submitConsent', { status: 503, times: 1 });
+      await act(() => result.current.acceptAllConsent());
+      const token = result.current.currentUserToken;
+      expect(await new ConsentQueue().getQueue()).toEqual([
+        expect.objectContaining({ projectId: PROJECT_ID, consent: expect.objectContaining({ token }) })
+      ]);
+
+      mock.injectError('eraseConsents', { status: 503 });
+      await act(() => expect(result.current.eraseConsentData()).rejects.toBeInstanceOf(ServerError));
+
+      expect(await new ConsentQueue().getQueue()).toHaveLength(1);
+      expect(result.current.currentUserToken).toBe(token);
+      expect(result.current.consent.pending).toBe(true);
+    });
+
+    it('drops the queued consents of each token as soon as the API erased it', async () => {
+      const first = await renderConsent();
+      mock.injectError('submitConsent', { status: 503, times: 1 });
+      await act(() => first.result.current.acceptAllConsent());
+      const lastToken = first.result.current.currentUserToken;
+      first.unmount();
+
+      // The user token changed since the last consent, both are erased
+      await saveUserToken(PROJECT_ID, 'local-dev', 'new_token');
+      await new ConsentQueue().enqueue({
+        projectId: PROJECT_ID,
+        environment: 'local-dev',
+        configId: 'mock_cookies_config',
+        consent: { accept: true, token: 'new_token' }
+      });
+      mock.injectError('submitConsent', { status: 503 });
+      const { result } = await renderConsent();
+      expect(result.current.currentUserToken).toBe('new_token');
+
+      const serverFetch = global.fetch;
+      jest.spyOn(global, 'fetch').mockImplementation((url, options) =>
+        options?.method === 'DELETE' && url.includes(lastToken)
+          ? Promise.reject(new TypeError('Network request failed'))
+          : serverFetch(url, options)
+      );
+      await act(() => expect(result.current.eraseConsentData()).rejects.toBeInstanceOf(NetworkError));
+
+      expect((await new ConsentQueue().getQueue()).map(item => item.consent.token)).toEqual([lastToken]);
+      expect(result.current.currentUserToken).toBe('new_token');
+    });
+
+    it('drops the queued consents once the API erased them', async () => {
+      const { result } = await renderConsent();
+      mock.injectError('submitConsent', { status: 503, times: 1 });
+      await act(() => result.current.acceptAllConsent());
+      const token = result.current.currentUserToken;
+
+      let erased;
+      await act(async () => {
+        erased = await result.current.eraseConsentData();
+      });
+
+      expect(erased.erasedTokens).toEqual([token]);
+      expect(await new ConsentQueue().getQueue()).toEqual([]);
+      expect(result.current.currentUserToken).not.toBe(token);
+    });
+  });
+
+  describe('consentModeMapping', () => {
+    const consentModeMapping = {
+      analytics_storage: { vendors: ['mock_mixpanel'] },
+      ad_storage: { purposes: ['advertising'] }
+    };
+
+    it('derives the Google Consent Mode signals from the mapping of the host', async () => {
+      const { result } = await renderConsent({ consentModeMapping });
+      expect(result.current.googleConsentMode).toEqual({ version: 2, analytics_storage: 'denied', ad_storage: 'denied' });
+
+      act(() => result.current.toggleVendor('mock_mixpanel (Mixpanel)'));
+      await act(() => result.current.submitConsent(false));
+
+      const signals = { version: 2, analytics_storage: 'granted', ad_storage: 'denied' };
+      expect(result.current.googleConsentMode).toEqual(signals);
+      expect(mock.state.consents.at(-1).googleConsentMode).toEqual(signals);
+    });
+
+    it('grants a signal through an accepted purpose group', async () => {
+      const { result } = await renderConsent({ consentModeMapping });
+
+      await act(() => result.current.acceptAllConsent());
+
+      expect(mock.state.consents.at(-1).googleConsentMode).toEqual({
+        version: 2,
+        analytics_storage: 'granted',
+        ad_storage: 'granted'
+      });
+    });
+  });
+
+  describe('vendor list review', () => {
+    it('keeps the last consent when the vendors fall back to the hardcoded list', async () => {
+      const first = await renderConsent();
+      await act(() => first.result.current.acceptAllConsent());
+      first.unmount();
+
+      mock.injectError('vendors', { status: 503 });
+      const { result } = await renderConsent();
+
+      expect(result.current.loadErrors.vendors).toBeInstanceOf(ServerError);
+      expect(result.current.consentChanges).toBeNull();
+      expect(result.current.modalVisible).toBe(false);
+      expect(result.current.consentStatus).toBe('✅ All Accepted');
+    });
+  });
+
+  describe('identify', () => {
+    it('rejects with a ValidationError without an account ID', async () => {
+      const { result } = await renderConsent();
+
+      await act(() => expect(result.current.identify('')).rejects.toBeInstanceOf(ValidationError));
+      expect(mock.state.requests.some(request => request.route === 'linkAccount')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { ConsentQueue, startConsentQueueSync } from '../src/ConsentQueue';
+import { NetworkError, ServerError, ValidationError } from '../src/errors';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+
+const NOW = new Date('2025-06-01T10:00:00.000Z').getTime();
+
+// Client of the queued entries: submitConsent fails with the given errors, then succeeds
+const createClient = (...errors) => {
+  const submitConsent = jest.fn();
+  errors.forEach(error => submitConsent.mockRejectedValueOnce(error));
+  submitConsent.mockResolvedValue({ consentId: 'consent_1' });
+  return { projectId: 'project_1', environment: 'staging', submitConsent };
+};
+
+const entry = (token, overrides = {}) => ({
+  projectId: 'project_1',
+  environment: 'staging',
+  configId: 'cookies_config',
+  consent: { accept: true, token },
+  ...overrides
+});
+
+describe('ConsentQueue', () => {
+  let queue;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    queue = new ConsentQueue({ storageKey: 'test_queue' });
+  });
+
+  it('replaces the pending entry of the same token, collection and configuration', async () => {
+    await queue.enqueue(entry('user_1'));
+    await queue.enqueue(entry('user_1', { consent: { accept: false, token: 'user_1' } }));
+    await queue.enqueue(entry('user_1', { collection: 'contract', configId: 'terms_of_service' }));
+
+    const pending = await queue.getQueue();
+    expect(pending).toHaveLength(2);
+    expect(pending[0].consent.accept).toBe(false);
+  });
+
+  it('discards every pending entry of a token in its project and environment', async () => {
+    await queue.enqueue(entry('user_1'));
+    await queue.enqueue(entry('user_1', { collection: 'contract', configId: 'terms_of_service' }));
+    await queue.enqueue(entry('user_1', { environment: 'production' }));
+    await queue.enqueue(entry('user_2'));
+
+    await queue.discardToken({ projectId: 'project_1', environment: 'staging', token: 'user_1' });
+
+    const pending = await queue.getQueue();
+    expect(pending.map(item => [item.environment, item.consent.token])).toEqual([
+      ['production', 'user_1'],
+      ['staging', 'user_2']
+    ]);
+  });
+
+  describe('process', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('submits the due entries of its project and environment', async () => {
+      await queue.enqueue(entry('user_1'));
+      await queue.enqueue(entry('user_2', { environment: 'production' }));
+      const client = createClient();
+
+      const { submitted, pending, nextAttemptAt } = await queue.process(client);
+
+      expect(client.submitConsent).toHaveBeenCalledWith('cookies_config', { accept: true, token: 'user_1' }, 'cookies');
+      expect(submitted).toEqual([expect.objectContaining({ consentId: 'consent_1' })]);
+      expect(pending).toBe(0);
+      expect(nextAttemptAt).toBeNull();
+      expect((await queue.getQueue()).map(item => item.environment)).toEqual(['production']);
+    });
+
+    it('waits 2s, then 4s before the next retries', async () => {
+      await queue.enqueue(entry('user_1'));
+      const client = createClient(new NetworkError('offline'), new ServerError('unavailable', { status: 503 }));
+
+      expect(await queue.process(client)).toEqual({ submitted: [], dropped: [], pending: 1, nextAttemptAt: NOW + 2000 });
+      const [retried] = await queue.getQueue();
+      // Offline: retried without counting toward maxRetries
+      expect(retried).toMatchObject({ retryCount: 0, attempts: 1, lastError: 'offline' });
+
+      // Not due yet
+      await queue.process(client);
+      expect(client.submitConsent).toHaveBeenCalledTimes(1);
+
+      Date.now.mockReturnValue(NOW + 2000);
+      expect((await queue.process(client)).nextAttemptAt).toBe(NOW + 2000 + 4000);
+      expect((await queue.getQueue())[0]).toMatchObject({ retryCount: 1, attempts: 2 });
+
+      // Forced, e.g. connectivity came back
+      const { submitted } = await queue.process(client, { force: true });
+      expect(submitted).toHaveLength(1);
+      expect(await queue.getQueue()).toEqual([]);
+    });
+
+    it('caps the backoff delay', () => {
+      expect([1, 2, 3].map(retryCount => queue.getBackoffDelay(retryCount))).toEqual([2000, 4000, 8000]);
+      expect(queue.getBackoffDelay(20)).toBe(5 * 60 * 1000);
+    });
+
+    it('drops an entry after maxRetries failed replays answered by the API', async () => {
+      queue = new ConsentQueue({ storageKey: 'test_queue', maxRetries: 2 });
+      await queue.enqueue(entry('user_1'));
+      const client = createClient(
+        new ServerError('unavailable', { status: 503 }),
+        new ServerError('unavailable', { status: 503 })
+      );
+
+      await queue.process(client);
+      expect(await queue.getQueue()).toHaveLength(1);
+
+      const { submitted, dropped, pending } = await queue.process(client, { force: true });
+      expect(submitted).toEqual([]);
+      expect(dropped).toEqual([expect.objectContaining({ retryCount: 1, lastError: 'unavailable' })]);
+      expect(pending).toBe(0);
+      expect(await queue.getQueue()).toEqual([]);
+    });
+
+    it('keeps an entry however long the device stays offline', async () => {
+      await queue.enqueue(entry('user_1'));
+      const offline = Array.from({ length: 50 }, () => new NetworkError('offline'));
+      const client = createClient(...offline);
+
+      // Hours of scheduled replays, far more than maxRetries
+      for (let i = 0; i < 50; i++) {
+        const { dropped, nextAttemptAt } = await queue.process(client, { force: true });
+        expect(dropped).toEqual([]);
+        expect(nextAttemptAt - Date.now()).toBeLessThanOrEqual(5 * 60 * 1000);
+      }
+      expect(await queue.getQueue()).toEqual([
+        expect.objectContaining({ retryCount: 0, attempts: 50, lastError: 'offline' })
+      ]);
+
+      // Back online
+      const { submitted } = await queue.process(client, { force: true });
+      expect(submitted).toHaveLength(1);
+      expect(await queue.getQueue()).toEqual([]);
+    });
+
+    it('drops an entry the API rejects for good', async () => {
+      await queue.enqueue(entry('user_1'));
+      const client = createClient(new ValidationError('invalid consent', { status: 400 }));
+
+      const { dropped } = await queue.process(client);
+
+      expect(dropped).toEqual([expect.objectContaining({ lastError: 'invalid consent' })]);
+      expect(await queue.getQueue()).toEqual([]);
+    });
+  });
+
+  describe('startConsentQueueSync', () => {
+    let client;
+    let stop;
+
+    beforeEach(async () => {
+      stop = null;
+      jest.useFakeTimers({ now: NOW });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await queue.enqueue(entry('user_1'));
+      client = createClient(new NetworkError('offline'), new NetworkError('offline'));
+    });
+
+    afterEach(() => {
+      stop?.();
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it('replays the queue at start and when the backoff delay expires', async () => {
+      const onSubmitted = jest.fn();
+      stop = startConsentQueueSync(queue, client, { onSubmitted });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(client.submitConsent).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(client.submitConsent).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(client.submitConsent).toHaveBeenCalledTimes(3);
+      expect(onSubmitted).toHaveBeenCalledWith(expect.objectContaining({ consentId: 'consent_1' }));
+    });
+
+    it('replays the queue right away when connectivity returns', async () => {
+      stop = startConsentQueueSync(queue, client);
+      await jest.advanceTimersByTimeAsync(0);
+      const [onNetInfoChange] = NetInfo.addEventListener.mock.calls.at(-1);
+
+      onNetInfoChange({ isConnected: false });
+      onNetInfoChange({ isConnected: true });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(client.submitConsent).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips the scheduled replays while the device is offline', async () => {
+      stop = startConsentQueueSync(queue, client);
+      await jest.advanceTimersByTimeAsync(0);
+      const [onNetInfoChange] = NetInfo.addEventListener.mock.calls.at(-1);
+      onNetInfoChange({ isConnected: false });
+
+      await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+      expect(client.submitConsent).toHaveBeenCalledTimes(1);
+
+      onNetInfoChange({ isConnected: true });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(client.submitConsent).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports the entries given up on', async () => {
+      client = createClient(new ValidationError('invalid consent', { status: 400 }));
+      const onDropped = jest.fn();
+      stop = startConsentQueueSync(queue, client, { onDropped });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(onDropped).toHaveBeenCalledWith(expect.objectContaining({
+        consent: { accept: true, token: 'user_1' },
+        lastError: 'invalid consent'
+      }));
+    });
+
+    it('replays the queue right away when the app comes back to the foreground', async () => {
+      stop = startConsentQueueSync(queue, client);
+      await jest.advanceTimersByTimeAsync(0);
+      const [event, onAppStateChange] = AppState.addEventListener.mock.calls.at(-1);
+      expect(event).toBe('change');
+
+      onAppStateChange('background');
+      await jest.advanceTimersByTimeAsync(0);
+      expect(client.submitConsent).toHaveBeenCalledTimes(1);
+
+      onAppStateChange('active');
+      await jest.advanceTimersByTimeAsync(0);
+      expect(client.submitConsent).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops replaying once stopped', async () => {
+      startConsentQueueSync(queue, client)();
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(client.submitConsent).toHaveBeenCalledTimes(1);
+      expect(NetInfo.addEventListener.mock.results.at(-1).value).toHaveBeenCalled();
+    });
+  });
+});
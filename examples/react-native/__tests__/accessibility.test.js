@@ -0,0 +1,261 @@
+import React from 'react';
+import { AccessibilityInfo, Dimensions, Modal as NativeModal, Text } from 'react-native';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react-native';
+import Modal from 'react-native-modal';
+import { useConsent } from '../src/AxeptioConsentProvider';
+import { ConsentBanner } from '../src/components/ConsentBanner';
+import { ConsentButton } from '../src/components/ConsentButton';
+import { FirstLayerBanner } from '../src/components/FirstLayerBanner';
+import { PreferenceCenter } from '../src/components/PreferenceCenter';
+import { VendorRow } from '../src/components/VendorRow';
+import { createTranslator } from '../src/i18n';
+import { groupVendors } from '../src/purposeGroups';
+import { VENDORS } from '../src/vendors';
+
+jest.mock('../src/AxeptioConsentProvider', () => ({ useConsent: jest.fn() }));
+
+const groups = [
+  { id: 'analytics', title: 'Analytics', description: 'Measure how the app is used', vendorRefs: ['google_analytics', 'mixpanel'] },
+  { id: 'advertising', title: 'Advertising', description: '', vendorRefs: ['facebook_pixel'] }
+];
+
+// Consent context of a provider with the hardcoded vendors, analytics partly on
+const mockConsent = (overrides = {}) => {
+  const context = {
+    t: createTranslator('en'),
+    language: 'en',
+    modalVisible: true,
+    bannerVisible: true,
+    vendorsLoading: false,
+    apiVendors: VENDORS,
+    vendorSections: groupVendors(groups, VENDORS),
+    vendors: { google_analytics: true, facebook_pixel: false, mixpanel: false },
+    consentChanges: null,
+    openConsentModal: jest.fn(),
+    closeConsentModal: jest.fn(),
+    toggleVendor: jest.fn(),
+    toggleGroup: jest.fn(),
+    acceptAll: jest.fn(),
+    rejectAll: jest.fn(),
+    submitConsent: jest.fn().mockResolvedValue({ status: 201 }),
+    acceptAllConsent: jest.fn().mockResolvedValue({ status: 201 }),
+    rejectAllConsent: jest.fn().mockResolvedValue({ status: 201 }),
+    ...overrides
+  };
+  useConsent.mockReturnValue(context);
+  return context;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(AccessibilityInfo, 'isReduceMotionEnabled').mockResolvedValue(false);
+  jest.spyOn(AccessibilityInfo, 'announceForAccessibility').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('VendorRow', () => {
+  it('labels the switch with the vendor name and describes it in the hint', () => {
+    const onToggle = jest.fn();
+    render(
+      <VendorRow vendor={VENDORS.mixpanel} description="Product analytics" enabled={false} onToggle={onToggle} />
+    );
+
+    const toggle = screen.getByRole('switch', { name: 'Mixpanel' });
+    expect(toggle.props.accessibilityHint).toBe('Product analytics');
+    expect(toggle).toHaveAccessibleName('Mixpanel');
+    expect(screen.getByRole('switch', { checked: false })).toBe(toggle);
+
+    fireEvent(toggle, 'valueChange', true);
+    expect(onToggle).toHaveBeenCalled();
+  });
+
+  it('announces a new vendor and the checked and disabled states', () => {
+    render(
+      <VendorRow vendor={VENDORS.mixpanel} enabled onToggle={() => {}} disabled isNew newBadgeLabel="NEW" />
+    );
+
+    const toggle = screen.getByRole('switch', { name: 'Mixpanel, NEW' });
+    expect(toggle).toBeChecked();
+    expect(toggle).toBeDisabled();
+  });
+
+  it('hides the texts from screen readers so the name is not read twice', () => {
+    render(<VendorRow vendor={VENDORS.mixpanel} description="Product analytics" enabled onToggle={() => {}} />);
+
+    expect(screen.queryByText('Product analytics')).toBeNull();
+    expect(screen.getByText('Product analytics', { includeHiddenElements: true })).toBeTruthy();
+  });
+});
+
+describe('ConsentButton', () => {
+  it('is a button named after its title, busy and disabled while loading', () => {
+    const { rerender } = render(<ConsentButton title="Accept All" onPress={() => {}} />);
+    expect(screen.getByRole('button', { name: 'Accept All' })).toBeEnabled();
+
+    rerender(<ConsentButton title="Accept All" onPress={() => {}} loading />);
+    const button = screen.getByRole('button', { name: 'Accept All' });
+    expect(button).toBeBusy();
+    expect(button).toBeDisabled();
+  });
+
+  it('keeps the label for screen readers when the content is replaced', () => {
+    render(<ConsentButton title="Reject All" onPress={() => {}} renderContent={() => <Text>✗</Text>} />);
+
+    expect(screen.getByRole('button', { name: 'Reject All' })).toBeTruthy();
+  });
+});
+
+describe('ConsentBanner', () => {
+  const actions = [
+    { key: 'accept', title: 'Accept All', onPress: () => {} },
+    { key: 'reject', title: 'Reject All', onPress: () => {} }
+  ];
+
+  it('has a heading and keeps screen readers inside it', () => {
+    render(<ConsentBanner visible title="Privacy Settings" message="We use cookies" actions={actions} />);
+
+    expect(screen.getByRole('header', { name: 'Privacy Settings' })).toBeTruthy();
+    expect(screen.UNSAFE_getByProps({ accessibilityViewIsModal: true })).toBeTruthy();
+    // Android has no accessibilityViewIsModal, the window of the native modal keeps TalkBack inside
+    expect(screen.UNSAFE_getByType(NativeModal).props.visible).toBe(true);
+    expect(screen.getAllByRole('button')).toHaveLength(2);
+  });
+
+  it('stacks the actions with large text sizes', () => {
+    const dimensions = jest.spyOn(Dimensions, 'get').mockReturnValue({ width: 390, height: 844, scale: 3, fontScale: 1 });
+    render(<ConsentBanner visible title="Privacy Settings" actions={actions} />);
+    expect(screen.getByRole('button', { name: 'Accept All' })).toHaveStyle({ flex: 1 });
+
+    dimensions.mockReturnValue({ width: 390, height: 844, scale: 3, fontScale: 2 });
+    render(<ConsentBanner visible title="Privacy Settings" actions={actions} />);
+    expect(screen.getByRole('button', { name: 'Accept All' })).not.toHaveStyle({ flex: 1 });
+  });
+
+  it('drops the slide animation when the system reduces motion', async () => {
+    AccessibilityInfo.isReduceMotionEnabled.mockResolvedValue(true);
+    render(<ConsentBanner visible title="Privacy Settings" actions={actions} />);
+
+    await waitFor(() => expect(screen.UNSAFE_getByType(Modal).props.animationIn).toBe('fadeIn'));
+    expect(screen.UNSAFE_getByType(Modal).props.animationInTiming).toBe(1);
+  });
+
+  it('moves the screen reader focus to the title once shown', () => {
+    const setFocus = jest.spyOn(AccessibilityInfo, 'setAccessibilityFocus').mockImplementation(() => {});
+    // The react-native module itself, an `import * as` copy would not be seen by the component
+    jest.spyOn(require('react-native'), 'findNodeHandle', 'get').mockReturnValue(() => 42);
+    render(<ConsentBanner visible title="Privacy Settings" actions={actions} />);
+
+    act(() => screen.UNSAFE_getByType(Modal).props.onModalShow());
+    expect(setFocus).toHaveBeenCalledWith(42);
+  });
+});
+
+describe('FirstLayerBanner', () => {
+  it('offers Accept All, Reject All and Customize as equal buttons', () => {
+    mockConsent();
+    render(<FirstLayerBanner />);
+
+    const buttons = screen.getAllByRole('button');
+    expect(buttons.map(button => button.props.accessibilityLabel)).toEqual(['Accept All', 'Reject All', 'Customize']);
+    expect(new Set(buttons.map(button => JSON.stringify(button.props.style)))).toHaveProperty('size', 1);
+  });
+
+  it('submits with one tap and announces the saved choice', async () => {
+    const context = mockConsent();
+    render(<FirstLayerBanner />);
+
+    fireEvent.press(screen.getByRole('button', { name: 'Reject All' }));
+
+    await waitFor(() => expect(AccessibilityInfo.announceForAccessibility).toHaveBeenCalledWith('Your choices have been saved'));
+    expect(context.rejectAllConsent).toHaveBeenCalledTimes(1);
+    expect(context.acceptAllConsent).not.toHaveBeenCalled();
+  });
+
+  it('reports a failed submission without announcing it', async () => {
+    const error = new Error('offline');
+    mockConsent({ acceptAllConsent: jest.fn().mockRejectedValue(error) });
+    const onError = jest.fn();
+    render(<FirstLayerBanner onError={onError} />);
+
+    fireEvent.press(screen.getByRole('button', { name: 'Accept All' }));
+
+    await waitFor(() => expect(onError).toHaveBeenCalledWith(error));
+    expect(AccessibilityInfo.announceForAccessibility).not.toHaveBeenCalled();
+  });
+
+  it('is hidden while there is a valid consent', () => {
+    mockConsent({ bannerVisible: false });
+    render(<FirstLayerBanner />);
+
+    expect(screen.queryByRole('button', { name: 'Accept All' })).toBeNull();
+  });
+});
+
+describe('PreferenceCenter', () => {
+  it('labels the close button and closes on the escape gesture', () => {
+    const context = mockConsent();
+    render(<PreferenceCenter />);
+
+    fireEvent.press(screen.getByRole('button', { name: 'Close' }));
+    expect(context.closeConsentModal).toHaveBeenCalledTimes(1);
+
+    expect(screen.getByRole('header', { name: '🍪 Privacy Settings' })).toBeTruthy();
+    fireEvent(screen.UNSAFE_getByProps({ accessibilityViewIsModal: true }), 'accessibilityEscape');
+    expect(context.closeConsentModal).toHaveBeenCalledTimes(2);
+  });
+
+  it('sizes the close button with the theme fonts', () => {
+    mockConsent();
+    render(<PreferenceCenter theme={{ fonts: { sizes: { title: 30 } } }} />);
+
+    expect(screen.getByText('✕')).toHaveStyle({ fontSize: 30 });
+  });
+
+  it('closes on the Android back button', () => {
+    const context = mockConsent();
+    render(<PreferenceCenter />);
+
+    act(() => screen.UNSAFE_getByType(Modal).props.onBackButtonPress());
+    expect(context.closeConsentModal).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives group switches a mixed state and group headers an expanded state', () => {
+    const context = mockConsent();
+    render(<PreferenceCenter />);
+
+    const analytics = screen.getByRole('switch', { name: 'Analytics' });
+    expect(analytics.props.accessibilityState).toEqual({ checked: 'mixed', disabled: false });
+    expect(screen.getByRole('switch', { name: 'Advertising' })).not.toBeChecked();
+
+    const header = screen.getByRole('button', { name: 'Analytics, 1/2 enabled' });
+    expect(header).toBeCollapsed();
+    fireEvent.press(header);
+    expect(header).toBeExpanded();
+    expect(screen.getByRole('switch', { name: 'Google Analytics' })).toBeChecked();
+
+    fireEvent(analytics, 'valueChange', true);
+    expect(context.toggleGroup).toHaveBeenCalledWith(expect.objectContaining({ id: 'analytics' }));
+  });
+
+  it('announces the saved choices', async () => {
+    const context = mockConsent();
+    render(<PreferenceCenter />);
+
+    fireEvent.press(screen.getByRole('button', { name: 'Save My Choices' }));
+
+    await waitFor(() => expect(AccessibilityInfo.announceForAccessibility).toHaveBeenCalledWith('Your choices have been saved'));
+    expect(context.submitConsent).toHaveBeenCalledWith(false);
+  });
+
+  it('reports the vendors loading as busy', () => {
+    mockConsent({ vendorsLoading: true });
+    render(<PreferenceCenter />);
+
+    expect(screen.getByLabelText('Loading vendors...')).toBeBusy();
+    expect(screen.getByRole('button', { name: 'Save My Choices' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,43 @@
+import { decodeJwtPayload, getTokenExpiry, isTokenExpiring } from '../src/apiToken';
+
+const jwt = (claims) => `e30.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`;
+
+describe('decodeJwtPayload', () => {
+  it('decodes the claims of a JWT', () => {
+    expect(decodeJwtPayload(jwt({ projectId: 'project_1', exp: 1700000000, name: 'Zoé ~?' }))).toEqual({
+      projectId: 'project_1',
+      exp: 1700000000,
+      name: 'Zoé ~?'
+    });
+  });
+
+  it.each([
+    ['opaque tokens', 'project_1_test_token'],
+    ['malformed payloads', 'e30.not-json.signature'],
+    ['non-object payloads', `e30.${Buffer.from('42').toString('base64url')}.signature`],
+    ['missing tokens', null]
+  ])('returns null for %s', (label, token) => {
+    expect(decodeJwtPayload(token)).toBeNull();
+  });
+});
+
+describe('token expiry', () => {
+  const now = new Date('2025-03-01T10:00:00.000Z');
+  const exp = Math.floor(now.getTime() / 1000) + 120;
+
+  it('reads the exp claim', () => {
+    expect(getTokenExpiry(jwt({ exp }))).toEqual(new Date('2025-03-01T10:02:00.000Z'));
+    expect(getTokenExpiry(jwt({ sub: 'project_1' }))).toBeNull();
+  });
+
+  it('tells whether the token expires within the margin', () => {
+    expect(isTokenExpiring(jwt({ exp }), 0, now)).toBe(false);
+    expect(isTokenExpiring(jwt({ exp }), 60 * 1000, now)).toBe(false);
+    expect(isTokenExpiring(jwt({ exp }), 120 * 1000, now)).toBe(true);
+    expect(isTokenExpiring(jwt({ exp: exp - 600 }), 0, now)).toBe(true);
+  });
+
+  it('never expires tokens without expiry', () => {
+    expect(isTokenExpiring('project_1_test_token', 60 * 1000, now)).toBe(false);
+  });
+});
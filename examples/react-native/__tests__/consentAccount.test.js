@@ -0,0 +1,102 @@
+import { mergeAccountConsent, toDeviceRecord } from '../src/consentAccount';
+
+const serverRecord = {
+  id: 'server_consent',
+  token: 'other_device_token',
+  accept: true,
+  preferences: {
+    config: { language: 'en', identifier: 'cookies_config' },
+    vendors: { 'google_analytics (Google Analytics)': true, 'mixpanel (Mixpanel)': true },
+    purposes: { analytics: 'accepted' },
+    region: { countryCode: 'FR', rule: 'eea', regime: 'opt-in' }
+  },
+  googleConsentMode: { version: 2, analytics_storage: 'granted' },
+  createdAt: '2025-05-01T10:00:00.000Z'
+};
+
+const deviceRecord = (createdAt, overrides = {}) => ({
+  token: 'this_device_token',
+  consentId: 'device_consent',
+  configId: 'cookies_config',
+  acceptAll: false,
+  vendors: { 'google_analytics (Google Analytics)': false, 'mixpanel (Mixpanel)': false },
+  createdAt,
+  ...overrides
+});
+
+describe('toDeviceRecord', () => {
+  it('converts a consent read from the API to a device record', () => {
+    expect(toDeviceRecord(serverRecord)).toEqual({
+      token: 'other_device_token',
+      consentId: 'server_consent',
+      configId: 'cookies_config',
+      acceptAll: true,
+      withdrawn: false,
+      vendors: serverRecord.preferences.vendors,
+      purposes: { analytics: 'accepted' },
+      googleConsentMode: serverRecord.googleConsentMode,
+      tcString: null,
+      fingerprint: expect.objectContaining({
+        configId: 'cookies_config',
+        vendorIds: ['google_analytics', 'mixpanel']
+      }),
+      region: serverRecord.preferences.region,
+      createdAt: '2025-05-01T10:00:00.000Z'
+    });
+  });
+
+  it('derives the Google Consent Mode signals when the API did not keep them', () => {
+    const record = toDeviceRecord({ ...serverRecord, googleConsentMode: undefined });
+
+    expect(record.googleConsentMode.analytics_storage).toBe('granted');
+    expect(record.googleConsentMode.ad_storage).toBe('denied');
+  });
+});
+
+describe('mergeAccountConsent', () => {
+  it('keeps the consent of this device when it is the latest', () => {
+    const local = deviceRecord('2025-06-01T10:00:00.000Z');
+
+    expect(mergeAccountConsent({ deviceRecord: local, serverRecord })).toEqual({ source: 'device', record: local });
+  });
+
+  it('takes the consent of the account when it is the latest', () => {
+    const { source, record } = mergeAccountConsent({
+      deviceRecord: deviceRecord('2025-04-01T10:00:00.000Z'),
+      serverRecord
+    });
+
+    expect(source).toBe('server');
+    expect(record.consentId).toBe('server_consent');
+  });
+
+  it('keeps the consent of this device on a tie or when it is the account consent', () => {
+    expect(mergeAccountConsent({
+      deviceRecord: deviceRecord(serverRecord.createdAt),
+      serverRecord
+    }).source).toBe('device');
+    expect(mergeAccountConsent({
+      deviceRecord: deviceRecord('2025-01-01T10:00:00.000Z', { consentId: 'server_consent' }),
+      serverRecord
+    }).source).toBe('device');
+  });
+
+  it('lets any consent of the account win over an implicit or undated one', () => {
+    expect(mergeAccountConsent({
+      deviceRecord: deviceRecord('2025-09-01T10:00:00.000Z', { implicit: true }),
+      serverRecord
+    }).source).toBe('server');
+    expect(mergeAccountConsent({
+      deviceRecord: deviceRecord(null),
+      serverRecord
+    }).source).toBe('server');
+  });
+
+  it('keeps what there is when one side has no consent', () => {
+    const local = deviceRecord('2025-04-01T10:00:00.000Z');
+
+    expect(mergeAccountConsent({ deviceRecord: local, serverRecord: null })).toEqual({ source: 'device', record: local });
+    expect(mergeAccountConsent({ deviceRecord: null, serverRecord }).source).toBe('server');
+    expect(mergeAccountConsent({ deviceRecord: null, serverRecord: null })).toEqual({ source: null, record: null });
+  });
+});
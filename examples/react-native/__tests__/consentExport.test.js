@@ -0,0 +1,227 @@
+import { Share } from 'react-native';
+import * as Sharing from 'expo-sharing';
+import {
+  CONSENT_EXPORT_FORMAT,
+  buildConsentExport,
+  formatConsentExportText,
+  shareConsentExport
+} from '../src/consentExport';
+import { createConsentFingerprint } from '../src/consentFingerprint';
+
+const mockFiles = new Map();
+
+jest.mock('expo-file-system', () => ({
+  Paths: { cache: 'file:///cache' },
+  File: jest.fn().mockImplementation((directory, name) => ({
+    uri: `${directory}/${name}`,
+    create: jest.fn(),
+    write: content => mockFiles.set(`${directory}/${name}`, content)
+  }))
+}));
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(),
+  shareAsync: jest.fn()
+}));
+
+const serverRecord = {
+  id: 'consent_1',
+  collection: 'cookies',
+  configId: 'cookies_config',
+  token: 'user_1',
+  accept: true,
+  preferences: {
+    config: { language: 'en', identifier: 'cookies_config' },
+    vendors: { 'google_analytics (Google Analytics)': true, 'mixpanel (Mixpanel)': false }
+  },
+  createdAt: '2025-03-01T10:00:00.000Z'
+};
+
+const deviceRecord = {
+  token: 'user_1',
+  consentId: 'consent_2',
+  configId: 'cookies_config',
+  acceptAll: false,
+  withdrawn: true,
+  vendors: { 'google_analytics (Google Analytics)': false, 'mixpanel (Mixpanel)': false },
+  fingerprint: createConsentFingerprint({
+    configId: 'cookies_config',
+    vendorIds: ['google_analytics', 'mixpanel', 'hotjar']
+  }),
+  createdAt: '2025-04-01T10:00:00.000Z'
+};
+
+const documentRecord = {
+  collection: 'contract',
+  configId: 'terms_of_service',
+  token: 'user_1',
+  accepted: true,
+  consentId: 'consent_3',
+  createdAt: '2025-02-01T10:00:00.000Z'
+};
+
+const queuedEntry = {
+  id: 'queued_1',
+  projectId: 'project_1',
+  environment: 'staging',
+  collection: 'cookies',
+  configId: 'cookies_config',
+  consent: {
+    accept: true,
+    token: 'user_1',
+    preferences: { vendors: { 'mixpanel (Mixpanel)': true } }
+  },
+  queuedAt: '2025-05-01T10:00:00.000Z'
+};
+
+const buildExport = (overrides = {}) => buildConsentExport({
+  tokens: ['user_1'],
+  client: {
+    projectId: 'project_1',
+    environment: 'staging',
+    language: 'en',
+    region: { countryCode: 'FR', source: 'timeZone', rule: 'eea', law: 'GDPR', regime: 'opt-in' }
+  },
+  serverRecords: { cookies: [serverRecord], contract: [] },
+  deviceRecords: { history: [deviceRecord], documents: [documentRecord], queued: [queuedEntry] },
+  exportedAt: new Date('2025-06-01T10:00:00.000Z'),
+  ...overrides
+});
+
+describe('buildConsentExport', () => {
+  it('keeps every record as stored with the user and client metadata', () => {
+    const consentExport = buildExport();
+
+    expect(consentExport).toMatchObject({
+      format: CONSENT_EXPORT_FORMAT,
+      version: 2,
+      exportedAt: '2025-06-01T10:00:00.000Z',
+      user: { token: 'user_1', tokens: ['user_1'] },
+      client: { platform: expect.any(String), osVersion: expect.any(String), projectId: 'project_1' },
+      records: {
+        server: { cookies: [serverRecord], contract: [] },
+        device: { history: [deviceRecord], documents: [documentRecord], queued: [queuedEntry] }
+      },
+      errors: []
+    });
+  });
+
+  it('summarizes each record, oldest first, with the vendors shown at the time', () => {
+    const { consents } = buildExport();
+
+    expect(consents.map(consent => [consent.sources, consent.consentId])).toEqual([
+      [['device'], 'consent_3'],
+      [['server'], 'consent_1'],
+      [['device'], 'consent_2'],
+      [['queue'], null]
+    ]);
+    expect(consents[0]).toMatchObject({ collection: 'contract', accepted: true, vendorsShown: [] });
+    expect(consents[1]).toMatchObject({
+      collection: 'cookies',
+      configId: 'cookies_config',
+      accepted: true,
+      vendorsShown: [
+        { id: 'google_analytics', name: 'Google Analytics' },
+        { id: 'mixpanel', name: 'Mixpanel' }
+      ],
+      acceptedVendors: ['Google Analytics']
+    });
+    // The fingerprint lists a vendor shown but not in the answered choices
+    expect(consents[2]).toMatchObject({ accepted: false, withdrawn: true, acceptedVendors: [] });
+    expect(consents[2].vendorsShown.map(vendor => vendor.id)).toEqual(['google_analytics', 'hotjar', 'mixpanel']);
+    expect(consents[3]).toMatchObject({ pending: true, date: '2025-05-01T10:00:00.000Z', acceptedVendors: ['Mixpanel'] });
+  });
+
+  it('summarizes a device record synced to the server once, with both sources', () => {
+    const syncedRecord = { ...deviceRecord, consentId: 'consent_1', withdrawn: false, createdAt: serverRecord.createdAt };
+
+    const consentExport = buildExport({
+      deviceRecords: { history: [syncedRecord], documents: [], queued: [] }
+    });
+
+    expect(consentExport.consents).toEqual([
+      expect.objectContaining({ consentId: 'consent_1', sources: ['server', 'device'], acceptedVendors: ['Google Analytics'] })
+    ]);
+    // Both records are still kept as stored
+    expect(consentExport.records.device.history).toEqual([syncedRecord]);
+    expect(formatConsentExportText(consentExport)).toContain('   Stored on: Axeptio servers and this device\n');
+  });
+
+  it('reports the collections that could not be read from the server', () => {
+    const error = Object.assign(new Error('API error 503: unavailable'), { status: 503 });
+
+    const consentExport = buildExport({ serverErrors: [{ collection: 'contract', error }] });
+
+    expect(consentExport.errors).toEqual([
+      { collection: 'contract', message: 'API error 503: unavailable', status: 503 }
+    ]);
+  });
+});
+
+describe('formatConsentExportText', () => {
+  it('lists the user, the client and each record', () => {
+    const text = formatConsentExportText(buildExport());
+
+    expect(text).toContain('User token: user_1');
+    expect(text).toContain('Project: project_1 (staging environment)');
+    expect(text).toContain('Region: FR (GDPR, opt-in)');
+    expect(text).toContain('Consent records (4)');
+    expect(text).toContain('2. 2025-03-01T10:00:00.000Z - cookies / cookies_config');
+    expect(text).toContain('   Stored on: Axeptio servers');
+    expect(text).toContain('   Vendors shown: Google Analytics, Mixpanel\n   Vendors accepted: Google Analytics');
+    expect(text).toContain('   Decision: Withdrawn');
+    expect(text).toContain('   Stored on: this device, not sent yet');
+  });
+
+  it('says when there is no record and when the export is incomplete', () => {
+    const text = formatConsentExportText(buildExport({
+      serverRecords: {},
+      deviceRecords: {},
+      serverErrors: [{ collection: 'cookies', error: new Error('Network error: offline') }]
+    }));
+
+    expect(text).toContain('No consent is recorded for this user.');
+    expect(text).toContain('The cookies records could not be read from the server: Network error: offline');
+  });
+});
+
+describe('shareConsentExport', () => {
+  beforeEach(() => {
+    mockFiles.clear();
+    jest.clearAllMocks();
+  });
+
+  it('writes both documents and shares the JSON one', async () => {
+    Sharing.isAvailableAsync.mockResolvedValue(true);
+    const consentExport = buildExport();
+
+    const { jsonUri, textUri } = await shareConsentExport(consentExport);
+
+    expect(jsonUri).toBe('file:///cache/consent-export-2025-06-01T10-00-00-000Z.json');
+    expect(JSON.parse(mockFiles.get(jsonUri))).toEqual(consentExport);
+    expect(mockFiles.get(textUri)).toBe(formatConsentExportText(consentExport));
+    expect(Sharing.shareAsync).toHaveBeenCalledWith(jsonUri, expect.objectContaining({ mimeType: 'application/json' }));
+  });
+
+  it('shares the text document on request', async () => {
+    Sharing.isAvailableAsync.mockResolvedValue(true);
+
+    const { textUri } = await shareConsentExport(buildExport(), { format: 'text' });
+
+    expect(Sharing.shareAsync).toHaveBeenCalledWith(textUri, expect.objectContaining({ mimeType: 'text/plain' }));
+  });
+
+  it('shares the text as a message when files cannot be shared', async () => {
+    Sharing.isAvailableAsync.mockResolvedValue(false);
+    const shareSpy = jest.spyOn(Share, 'share').mockResolvedValue({ action: Share.sharedAction });
+    const consentExport = buildExport();
+
+    await shareConsentExport(consentExport);
+
+    expect(Sharing.shareAsync).not.toHaveBeenCalled();
+    expect(shareSpy).toHaveBeenCalledWith({
+      title: 'Consent data export',
+      message: formatConsentExportText(consentExport)
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * @jest-environment node
+ */
+// The whole consent flow of the app against the local mock API: configuration,
+// vendors (with the VENDORS fallback), token, submission and reading back.
+// Runs in the node environment to use Node's fetch over a real socket.
+
+import { AxeptioClient } from '../src/AxeptioClient';
+import { AuthError, NetworkError, ServerError } from '../src/errors';
+import { buildConsentSubmission } from '../src/consentPayload';
+import { extractGroups, groupVendors } from '../src/purposeGroups';
+import { VENDORS, loadVendorMap, setAllPreferences } from '../src/vendors';
+
+const { createApiToken, createMockServer } = require('../mock-server/server');
+
+const PROJECT_ID = 'lifecycle_project';
+
+describe('consent lifecycle against the mock API', () => {
+  let mock;
+  let client;
+
+  beforeAll(async () => {
+    mock = createMockServer();
+    const baseUrl = await mock.listen(0);
+    client = new AxeptioClient({ projectId: PROJECT_ID, apiToken: 'api_token', baseUrl });
+  });
+
+  afterAll(() => mock.close());
+
+  beforeEach(() => {
+    mock.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // What the provider does from launch to a saved choice
+  const submitChoices = async (choose) => {
+    const configuration = await client.fetchConfiguration();
+    const { vendorMap } = await loadVendorMap(client);
+    const token = await client.fetchToken();
+    const { payload, record } = buildConsentSubmission({
+      configId: configuration.defaultConfigId,
+      token,
+      language: 'en',
+      vendorMap,
+      preferences: choose(vendorMap),
+      vendorSections: groupVendors(extractGroups(configuration), vendorMap)
+    });
+    const result = await client.submitConsent(configuration.defaultConfigId, payload);
+    return { configuration, vendorMap, token, payload, record, result };
+  };
+
+  it('submits a consent and reads it back', async () => {
+    const { configuration, vendorMap, token, payload, result } = await submitChoices(vendorMap => ({
+      ...setAllPreferences(vendorMap, false),
+      'mock_google_analytics (Google Analytics)': true
+    }));
+
+    expect(configuration.defaultConfigId).toBe('mock_cookies_config');
+    expect(Object.keys(vendorMap)).toEqual([
+      'mock_google_analytics (Google Analytics)',
+      'mock_facebook_pixel (Facebook Pixel)',
+      'mock_mixpanel (Mixpanel)'
+    ]);
+    expect(token).toMatch(/^mock_/);
+    expect(result.status).toBe(201);
+    expect(result.consentId).toBe(result.data.id);
+
+    const stored = await client.getConsent(token, 'mock_cookies_config');
+    expect(stored.id).toBe(result.consentId);
+    expect(stored.preferences).toEqual(payload.preferences);
+    expect(stored.preferences.purposes).toEqual({ analytics: 'partial', advertising: 'rejected' });
+    expect(stored.googleConsentMode.analytics_storage).toBe('granted');
+  });
+
+  it('reads back the latest of several consents and lists them all in the history', async () => {
+    const { token, payload } = await submitChoices(vendorMap => setAllPreferences(vendorMap, false));
+    const second = await client.submitConsent('mock_cookies_config', {
+      ...payload,
+      preferences: { ...payload.preferences, vendors: { 'mock_mixpanel (Mixpanel)': true } }
+    });
+
+    await expect(client.getConsent(token, 'mock_cookies_config')).resolves.toMatchObject({ id: second.consentId });
+    await expect(client.getConsentHistory(token)).resolves.toHaveLength(2);
+  });
+
+  it('keeps the collections apart', async () => {
+    const { token } = await submitChoices(vendorMap => setAllPreferences(vendorMap, true));
+    await client.submitConsent('terms_of_service', { accept: true, token }, 'contract');
+
+    await expect(client.getConsent(token, 'terms_of_service', 'contract')).resolves.toMatchObject({ collection: 'contract' });
+    await expect(client.getConsentHistory(token)).resolves.toHaveLength(1);
+  });
+
+  it('falls back to the hardcoded VENDORS when the vendor list fails to load', async () => {
+    mock.injectError('vendors', { status: 500 });
+
+    const { vendorMap, error } = await loadVendorMap(client);
+
+    expect(vendorMap).toBe(VENDORS);
+    expect(error).toBeInstanceOf(ServerError);
+  });
+
+  it('reads null for a token without consent (404)', async () => {
+    const token = await client.fetchToken();
+
+    await expect(client.getConsent(token, 'mock_cookies_config')).resolves.toBeNull();
+    await expect(client.getConsentHistory(token)).resolves.toEqual([]);
+  });
+
+  it('withdraws a consent and then erases every record of the token', async () => {
+    const { configuration, vendorMap, token } = await submitChoices(vendorMap => setAllPreferences(vendorMap, true));
+    await client.submitConsent('terms_of_service', { accept: true, token }, 'contract');
+    await client.submitConsent('other_project_config', { accept: true, token: 'other_user' });
+
+    const { payload } = buildConsentSubmission({
+      configId: configuration.defaultConfigId,
+      token,
+      language: 'en',
+      vendorMap,
+      withdrawn: true
+    });
+    await client.submitConsent(configuration.defaultConfigId, payload);
+    await expect(client.getConsent(token, 'mock_cookies_config')).resolves.toMatchObject({
+      accept: false,
+      preferences: { vendors: setAllPreferences(vendorMap, false) }
+    });
+
+    await expect(client.eraseConsents(token)).resolves.toEqual({ status: 200, deletedCount: 3 });
+    await expect(client.getConsent(token, 'mock_cookies_config')).resolves.toBeNull();
+    await expect(client.getConsentHistory(token)).resolves.toEqual([]);
+    await expect(client.getConsent('other_user', 'other_project_config')).resolves.not.toBeNull();
+    await expect(client.eraseConsents(token)).resolves.toEqual({ status: 200, deletedCount: 0 });
+  });
+
+  it('reads the latest consent of an account across its devices', async () => {
+    const firstDevice = await submitChoices(vendorMap => setAllPreferences(vendorMap, true));
+    await client.linkAccount(firstDevice.token, 'user@example.com');
+
+    await expect(client.getAccountConsent('user@example.com', 'mock_cookies_config')).resolves.toMatchObject({
+      id: firstDevice.result.consentId
+    });
+
+    const secondToken = await client.fetchToken();
+    await expect(client.linkAccount(secondToken, 'user@example.com')).resolves.toEqual({
+      status: 200,
+      tokens: [firstDevice.token, secondToken]
+    });
+    const second = await client.submitConsent('mock_cookies_config', { ...firstDevice.payload, token: secondToken });
+
+    await expect(client.getAccountConsent('user@example.com', 'mock_cookies_config')).resolves.toMatchObject({
+      id: second.consentId,
+      token: secondToken
+    });
+    await expect(client.getAccountConsent('someone@example.com', 'mock_cookies_config')).resolves.toBeNull();
+  });
+
+  it('rejects every call with 401 when the API token is refused', async () => {
+    const refusing = createMockServer({ fixtures: { apiTokens: ['valid_token'] } });
+    const baseUrl = await refusing.listen(0);
+    const unauthorized = new AxeptioClient({ projectId: PROJECT_ID, apiToken: 'wrong_token', baseUrl });
+
+    try {
+      await expect(unauthorized.fetchConfiguration()).rejects.toBeInstanceOf(AuthError);
+      await expect(unauthorized.fetchToken()).rejects.toMatchObject({ status: 401 });
+      await expect(unauthorized.getConsent('user_token', 'mock_cookies_config')).rejects.toBeInstanceOf(AuthError);
+      await expect(loadVendorMap(unauthorized)).resolves.toMatchObject({ vendorMap: VENDORS });
+    } finally {
+      await refusing.close();
+    }
+  });
+
+  it('refreshes an expired API token through the provider', async () => {
+    const expired = createApiToken({ projectId: PROJECT_ID, exp: Math.floor(Date.now() / 1000) + 30 });
+    const fresh = createApiToken({ projectId: PROJECT_ID, exp: Math.floor(Date.now() / 1000) + 3600 });
+    const tokenProvider = jest.fn().mockResolvedValue(fresh);
+    const refreshing = new AxeptioClient({ projectId: PROJECT_ID, apiToken: expired, tokenProvider, baseUrl: client.baseUrl });
+
+    await expect(refreshing.verifyAuth()).resolves.toMatchObject({
+      projectId: PROJECT_ID,
+      scopes: ['read_projects', 'manage_consents'],
+      missingScopes: []
+    });
+    expect(tokenProvider).toHaveBeenCalledWith({ reason: 'expiring', previousToken: expired });
+  });
+
+  it('refreshes the API token after a 401 and retries the request', async () => {
+    const revoked = createApiToken({ projectId: PROJECT_ID });
+    const fresh = createApiToken({ projectId: PROJECT_ID, exp: Math.floor(Date.now() / 1000) + 3600 });
+    const strict = createMockServer({ fixtures: { apiTokens: [fresh] } });
+    const baseUrl = await strict.listen(0);
+    const tokenProvider = jest.fn().mockResolvedValue(fresh);
+    const refreshing = new AxeptioClient({ projectId: PROJECT_ID, apiToken: revoked, tokenProvider, baseUrl });
+
+    try {
+      await expect(refreshing.fetchToken()).resolves.toMatch(/^mock_/);
+      expect(tokenProvider).toHaveBeenCalledWith({ reason: 'unauthorized', previousToken: revoked });
+      expect(strict.state.requests.map(request => request.route)).toEqual(['token', 'token']);
+    } finally {
+      await strict.close();
+    }
+  });
+
+  it('rejects the submission on 5xx without storing it', async () => {
+    mock.injectError('submitConsent', { status: 503, times: 1 });
+
+    await expect(submitChoices(vendorMap => setAllPreferences(vendorMap, true)))
+      .rejects.toBeInstanceOf(ServerError);
+    expect(mock.state.consents).toHaveLength(0);
+
+    // The next attempt goes through
+    const { result } = await submitChoices(vendorMap => setAllPreferences(vendorMap, true));
+    expect(result.status).toBe(201);
+  });
+
+  it('rejects with a NetworkError when the connection drops', async () => {
+    mock.injectError('token', { network: true, times: 1 });
+
+    const error = await client.fetchToken().catch(e => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error).toMatchObject({ status: null, endpoint: '/token' });
+  });
+});
@@ -0,0 +1,144 @@
+import { buildConsentSubmission } from '../src/consentPayload';
+import { groupVendors } from '../src/purposeGroups';
+
+const vendorMap = {
+  'google_analytics (Google Analytics)': { id: 'google_analytics', name: 'Google Analytics' },
+  'facebook_pixel (Facebook Pixel)': { id: 'facebook_pixel', name: 'Facebook Pixel' },
+  'mixpanel (Mixpanel)': { id: 'mixpanel', name: 'Mixpanel' }
+};
+
+const vendorSections = groupVendors([
+  { id: 'analytics', title: 'Analytics', description: '', vendorRefs: ['google_analytics', 'mixpanel'] },
+  { id: 'advertising', title: 'Advertising', description: '', vendorRefs: ['facebook_pixel'] }
+], vendorMap);
+
+const createdAt = new Date('2025-03-01T10:00:00.000Z');
+
+describe('buildConsentSubmission', () => {
+  it('builds the payload from the switch states', () => {
+    const { payload } = buildConsentSubmission({
+      configId: 'cookies_config',
+      token: 'user_token',
+      language: 'fr',
+      vendorMap,
+      preferences: { 'google_analytics (Google Analytics)': true },
+      vendorSections,
+      createdAt
+    });
+
+    expect(payload).toEqual({
+      accept: true,
+      preferences: {
+        config: { language: 'fr', identifier: 'cookies_config' },
+        vendors: {
+          'google_analytics (Google Analytics)': true,
+          'facebook_pixel (Facebook Pixel)': false,
+          'mixpanel (Mixpanel)': false
+        },
+        purposes: { analytics: 'partial', advertising: 'rejected' }
+      },
+      googleConsentMode: {
+        version: 2,
+        ad_storage: 'denied',
+        ad_user_data: 'denied',
+        ad_personalization: 'denied',
+        analytics_storage: 'granted'
+      },
+      token: 'user_token'
+    });
+  });
+
+  it('accepts every vendor with acceptAll', () => {
+    const { payload, record } = buildConsentSubmission({
+      configId: 'cookies_config',
+      token: 'user_token',
+      language: 'en',
+      vendorMap,
+      acceptAll: true,
+      vendorSections,
+      createdAt
+    });
+
+    expect(Object.values(payload.preferences.vendors)).toEqual([true, true, true]);
+    expect(payload.preferences.purposes).toEqual({ analytics: 'accepted', advertising: 'accepted' });
+    expect(payload.googleConsentMode.ad_storage).toBe('granted');
+    expect(record.acceptAll).toBe(true);
+  });
+
+  it('records no purposes for a flat vendor list', () => {
+    const { payload } = buildConsentSubmission({
+      configId: 'cookies_config',
+      token: 'user_token',
+      language: 'en',
+      vendorMap,
+      createdAt
+    });
+
+    expect(payload.preferences.purposes).toEqual({});
+    expect(payload.preferences).not.toHaveProperty('region');
+    expect(payload.googleConsentMode.analytics_storage).toBe('denied');
+  });
+
+  it('keeps a device record matching the payload', () => {
+    const { payload, record } = buildConsentSubmission({
+      configId: 'cookies_config',
+      token: 'user_token',
+      language: 'en',
+      vendorMap,
+      preferences: { 'mixpanel (Mixpanel)': true },
+      vendorSections,
+      createdAt
+    });
+
+    expect(record).toEqual({
+      token: 'user_token',
+      configId: 'cookies_config',
+      acceptAll: false,
+      withdrawn: false,
+      vendors: payload.preferences.vendors,
+      purposes: payload.preferences.purposes,
+      googleConsentMode: payload.googleConsentMode,
+      tcString: null,
+      fingerprint: expect.objectContaining({ configId: 'cookies_config' }),
+      region: null,
+      createdAt: '2025-03-01T10:00:00.000Z'
+    });
+  });
+
+  it('records the region and regime that applied', () => {
+    const region = { countryCode: 'US', source: 'timeZone', rule: 'us', law: 'CCPA/CPRA', regime: 'opt-out' };
+
+    const { payload, record } = buildConsentSubmission({
+      configId: 'cookies_config',
+      token: 'user_token',
+      language: 'en',
+      vendorMap,
+      region,
+      createdAt
+    });
+
+    expect(payload.preferences.region).toEqual(region);
+    expect(record.region).toEqual(region);
+  });
+
+  it('refuses every vendor when the consent is withdrawn', () => {
+    const { payload, record } = buildConsentSubmission({
+      configId: 'cookies_config',
+      token: 'user_token',
+      language: 'en',
+      vendorMap,
+      preferences: { 'mixpanel (Mixpanel)': true },
+      acceptAll: true,
+      vendorSections,
+      withdrawn: true,
+      createdAt
+    });
+
+    expect(payload.accept).toBe(false);
+    expect(payload.withdrawn).toBe(true);
+    expect(Object.values(payload.preferences.vendors)).toEqual([false, false, false]);
+    expect(payload.preferences.purposes).toEqual({ analytics: 'rejected', advertising: 'rejected' });
+    expect(payload.googleConsentMode.analytics_storage).toBe('denied');
+    expect(record).toMatchObject({ acceptAll: false, withdrawn: true });
+  });
+});
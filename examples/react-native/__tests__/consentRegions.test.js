@@ -0,0 +1,115 @@
+import { getCalendars, getLocales } from 'expo-localization';
+import {
+  CONSENT_REGIMES,
+  describeRegionForPayload,
+  getDeviceRegionHints,
+  getRegionRule,
+  resolveConsentRegion,
+  resolveRegion
+} from '../src/consentRegions';
+import { CONSENT_REGION_RULES } from '../src/config';
+
+jest.mock('expo-localization', () => ({
+  getCalendars: jest.fn(),
+  getLocales: jest.fn()
+}));
+
+describe('resolveRegion', () => {
+  it('prefers the country passed by the app', () => {
+    expect(resolveRegion({ countryCode: 'de', timeZone: 'America/New_York', localeRegion: 'US' }))
+      .toEqual({ countryCode: 'DE', source: 'app' });
+  });
+
+  it('uses the time zone before the locale region', () => {
+    expect(resolveRegion({ timeZone: 'America/Los_Angeles', localeRegion: 'FR' }))
+      .toEqual({ countryCode: 'US', source: 'timeZone' });
+  });
+
+  it('falls back to the locale region for unknown time zones', () => {
+    expect(resolveRegion({ timeZone: 'Asia/Tokyo', localeRegion: 'JP' }))
+      .toEqual({ countryCode: 'JP', source: 'locale' });
+  });
+
+  it('ignores invalid country codes', () => {
+    expect(resolveRegion({ countryCode: 'France', localeRegion: '419' }))
+      .toEqual({ countryCode: null, source: null });
+  });
+});
+
+describe('getRegionRule', () => {
+  it.each([
+    ['FR', 'eea', CONSENT_REGIMES.OPT_IN],
+    ['NO', 'eea', CONSENT_REGIMES.OPT_IN],
+    ['GB', 'uk', CONSENT_REGIMES.OPT_IN],
+    ['CA', 'canada', CONSENT_REGIMES.OPT_IN],
+    ['BR', 'brazil', CONSENT_REGIMES.OPT_IN],
+    ['US', 'us', CONSENT_REGIMES.OPT_OUT],
+    ['JP', 'rest_of_world', CONSENT_REGIMES.OPT_IN],
+    ['CH', 'rest_of_world', CONSENT_REGIMES.OPT_IN]
+  ])('applies the %s rule', (countryCode, ruleId, regime) => {
+    expect(getRegionRule(countryCode)).toMatchObject({ id: ruleId, regime });
+  });
+
+  it('applies the strictest regime when the country is unknown', () => {
+    expect(getRegionRule(null)).toMatchObject({ id: 'unknown', regime: CONSENT_REGIMES.OPT_IN });
+  });
+
+  it('uses the first matching rule of a custom table', () => {
+    const rules = [
+      { id: 'california_app', law: 'CCPA', regime: 'opt-out', countries: ['US'] },
+      { id: 'everywhere', law: null, regime: 'opt-in', countries: ['*'] }
+    ];
+
+    expect(getRegionRule('US', rules).id).toBe('california_app');
+    expect(getRegionRule('JP', rules).id).toBe('everywhere');
+  });
+
+  it('never skips the banner unless the host lists the country under none', () => {
+    expect(CONSENT_REGION_RULES.filter(rule => rule.regime === CONSENT_REGIMES.NONE)).toEqual([]);
+
+    const rules = [{ id: 'no_law', law: null, regime: 'none', countries: ['JP'] }, ...CONSENT_REGION_RULES];
+    expect(getRegionRule('JP', rules)).toMatchObject({ id: 'no_law', regime: CONSENT_REGIMES.NONE });
+    expect(getRegionRule('KR', rules)).toMatchObject({ id: 'rest_of_world', regime: CONSENT_REGIMES.OPT_IN });
+  });
+
+  it('applies the unknown rule when no rule matches', () => {
+    expect(getRegionRule('JP', [{ id: 'us', regime: 'opt-out', countries: ['US'] }]).id).toBe('unknown');
+  });
+});
+
+describe('device region', () => {
+  it('reads the time zone and locale region of the device', () => {
+    getCalendars.mockReturnValue([{ timeZone: 'Europe/Paris' }]);
+    getLocales.mockReturnValue([{ languageTag: 'en', regionCode: null }, { languageTag: 'fr-FR', regionCode: 'FR' }]);
+
+    expect(getDeviceRegionHints()).toEqual({ timeZone: 'Europe/Paris', localeRegion: 'FR' });
+    expect(resolveConsentRegion()).toMatchObject({
+      countryCode: 'FR',
+      source: 'timeZone',
+      rule: { id: 'eea', law: 'GDPR', regime: 'opt-in' }
+    });
+  });
+
+  it('returns no hints when the native module fails', () => {
+    getCalendars.mockImplementation(() => {
+      throw new Error('Native module not available');
+    });
+
+    expect(getDeviceRegionHints()).toEqual({ timeZone: null, localeRegion: null });
+    expect(resolveConsentRegion().rule.id).toBe('unknown');
+  });
+});
+
+describe('describeRegionForPayload', () => {
+  it('records the country, rule, law and regime', () => {
+    const region = resolveConsentRegion('us', { timeZone: null, localeRegion: null });
+
+    expect(describeRegionForPayload(region)).toEqual({
+      countryCode: 'US',
+      source: 'app',
+      rule: 'us',
+      law: 'CCPA/CPRA',
+      regime: 'opt-out'
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  AuthError,
+  AxeptioError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  createApiError
+} from '../src/errors';
+import { isRetryableError } from '../src/ConsentQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+
+const apiError = (status, retryAfter) => createApiError({
+  status,
+  body: { message: 'failure' },
+  method: 'POST',
+  endpoint: '/consents/project_1/cookies/cookies_config',
+  responseText: '{"message":"failure"}',
+  retryAfter
+});
+
+describe('createApiError', () => {
+  it.each([
+    [400, ValidationError],
+    [401, AuthError],
+    [403, AuthError],
+    [404, NotFoundError],
+    [422, ValidationError],
+    [429, RateLimitError],
+    [500, ServerError],
+    [503, ServerError]
+  ])('maps %i to %p', (status, ErrorClass) => {
+    const error = apiError(status);
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(AxeptioError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe(ErrorClass.name);
+    expect(error).toMatchObject({
+      status,
+      body: { message: 'failure' },
+      method: 'POST',
+      endpoint: '/consents/project_1/cookies/cookies_config'
+    });
+    expect(error.message).toBe(`API error ${status}: {"message":"failure"}`);
+  });
+
+  it('keeps other statuses as AxeptioError', () => {
+    const error = apiError(409);
+
+    expect(error.constructor).toBe(AxeptioError);
+    expect(error.status).toBe(409);
+  });
+
+  it('reads Retry-After as seconds or as a date', () => {
+    expect(apiError(429, '120').retryAfter).toBe(120);
+    expect(apiError(429, new Date(Date.now() + 60000).toUTCString()).retryAfter).toBeGreaterThan(55);
+    expect(apiError(429, 'soon').retryAfter).toBeNull();
+    expect(apiError(429).retryAfter).toBeNull();
+  });
+});
+
+describe('isRetryableError', () => {
+  it.each([
+    ['network errors', new NetworkError('offline')],
+    ['timeouts', apiError(408)],
+    ['rate limits', apiError(429)],
+    ['server errors', apiError(502)],
+    ['errors without status', new Error('Network request failed')]
+  ])('retries %s', (label, error) => {
+    expect(isRetryableError(error)).toBe(true);
+  });
+
+  it.each([
+    ['validation errors', apiError(400)],
+    ['auth errors', apiError(401)],
+    ['not found errors', apiError(404)],
+    ['invalid responses', new ValidationError('Token not found in API response', { status: 200 })]
+  ])('does not retry %s', (label, error) => {
+    expect(isRetryableError(error)).toBe(false);
+  });
+});
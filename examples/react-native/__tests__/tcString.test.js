@@ -0,0 +1,132 @@
+import { createTCString, buildTCModel } from '../src/tcf/globalVendorList';
+import { decodeTCString, encodeTCString, TCF_POLICY_VERSION } from '../src/tcf/tcString';
+import vendorList from '../src/tcf/vendor-list.json';
+
+const SETTINGS = { cmpId: 300, cmpVersion: 2, publisherCountryCode: 'FR' };
+const CREATED = new Date('2026-03-01T10:00:00.000Z');
+const CREATED_DAY = new Date('2026-03-01T00:00:00.000Z'); // Dates are encoded with day precision
+
+// Choices of the consent screen: two GVL vendors accepted (by IAB ID and by
+// name), one rejected and one that is not part of the GVL
+const vendorSelections = [
+  { id: 'trade_desk', name: 'The Trade Desk', iabId: 21, accepted: true },
+  { id: 'xandr', name: 'Xandr, Inc.', accepted: false },
+  { id: 'criteo', name: 'Criteo SA', accepted: true },
+  { id: 'mixpanel', name: 'Mixpanel', accepted: true }
+];
+
+const createOptions = (overrides = {}) => ({
+  gvl: vendorList,
+  vendorSelections,
+  language: 'fr-FR',
+  settings: SETTINGS,
+  created: CREATED,
+  ...overrides
+});
+
+describe('createTCString', () => {
+  it('round-trips the choices through decodeTCString', () => {
+    const tcString = createTCString(createOptions());
+
+    expect(tcString.split('.')).toHaveLength(2);
+    expect(decodeTCString(tcString)).toEqual({
+      version: 2,
+      created: CREATED_DAY,
+      lastUpdated: CREATED_DAY,
+      cmpId: 300,
+      cmpVersion: 2,
+      consentScreen: 1,
+      consentLanguage: 'FR',
+      vendorListVersion: vendorList.vendorListVersion,
+      tcfPolicyVersion: vendorList.tcfPolicyVersion,
+      isServiceSpecific: true,
+      useNonStandardTexts: false,
+      specialFeatureOptIns: [],
+      purposeConsents: [1, 3, 4],
+      purposeLegitimateInterests: [2, 7, 9, 10],
+      purposeOneTreatment: false,
+      publisherCountryCode: 'FR',
+      vendorConsents: [21, 91],
+      vendorLegitimateInterests: [21, 91],
+      disclosedVendors: [21, 32, 91]
+    });
+  });
+
+  it('leaves purposes and vendors empty when every vendor is rejected', () => {
+    const rejected = vendorSelections.map(selection => ({ ...selection, accepted: false }));
+    const decoded = decodeTCString(createTCString(createOptions({ vendorSelections: rejected })));
+
+    expect(decoded.purposeConsents).toEqual([]);
+    expect(decoded.purposeLegitimateInterests).toEqual([]);
+    expect(decoded.vendorConsents).toEqual([]);
+    expect(decoded.vendorLegitimateInterests).toEqual([]);
+    expect(decoded.disclosedVendors).toEqual([21, 32, 91]);
+  });
+
+  it('drops the disclosed vendors segment when no vendor is in the GVL', () => {
+    const tcString = createTCString(createOptions({
+      vendorSelections: [{ id: 'mixpanel', name: 'Mixpanel', accepted: true }]
+    }));
+
+    expect(tcString).not.toContain('.');
+    expect(decodeTCString(tcString).disclosedVendors).toEqual([]);
+  });
+
+  it('requires the CMP ID registered with IAB Europe', () => {
+    // TCF_SETTINGS.cmpId defaults to null, so no TC string is generated out of the box
+    const model = buildTCModel(createOptions({ settings: { ...SETTINGS, cmpId: null } }));
+
+    expect(() => encodeTCString(model)).toThrow('cmpId must be the CMP ID registered with IAB Europe');
+  });
+});
+
+describe('encodeTCString', () => {
+  it('never encodes a legitimate interest for a consent-only purpose', () => {
+    const tcString = encodeTCString({
+      created: CREATED,
+      cmpId: 300,
+      cmpVersion: 1,
+      vendorListVersion: 3,
+      purposeLegitimateInterests: [1, 2, 3, 7]
+    });
+
+    const decoded = decodeTCString(tcString);
+    expect(decoded.purposeLegitimateInterests).toEqual([2, 7]);
+    expect(decoded.tcfPolicyVersion).toBe(TCF_POLICY_VERSION);
+  });
+});
+
+describe('decodeTCString', () => {
+  it('decodes the TC string example of the IAB specification', () => {
+    // Core segment of the example string in the IAB TCF v2 consent string format,
+    // vendor legitimate interests are range-encoded
+    const decoded = decodeTCString('COvFyGBOvFyGBAbAAAENAPCAAOAAAAAAAAAAAEEUACCKAAA');
+
+    expect(decoded).toEqual({
+      version: 2,
+      created: new Date('2020-02-20T23:57:39.300Z'),
+      lastUpdated: new Date('2020-02-20T23:57:39.300Z'),
+      cmpId: 27,
+      cmpVersion: 0,
+      consentScreen: 0,
+      consentLanguage: 'EN',
+      vendorListVersion: 15,
+      tcfPolicyVersion: 2,
+      isServiceSpecific: false,
+      useNonStandardTexts: false,
+      specialFeatureOptIns: [],
+      purposeConsents: [1, 2, 3],
+      purposeLegitimateInterests: [],
+      purposeOneTreatment: false,
+      publisherCountryCode: 'AA',
+      vendorConsents: [2, 6, 8],
+      vendorLegitimateInterests: [2, 6, 8],
+      disclosedVendors: []
+    });
+  });
+
+  it('rejects strings of another TCF version or with invalid characters', () => {
+    expect(() => decodeTCString('BOvFyGBOvFyGBAbAAAENAPCAAOAAAAAAAAAAAEEUACCKAAA')).toThrow('unsupported version 1');
+    expect(() => decodeTCString('C*vFyGB')).toThrow('invalid character "*"');
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  DARK_COLORS,
+  DEFAULT_FONTS,
+  DEFAULT_RADII,
+  LIGHT_COLORS,
+  createConsentTheme,
+  fontStyle
+} from '../src/components/theme';
+
+describe('createConsentTheme', () => {
+  it('uses the light defaults without a theme', () => {
+    expect(createConsentTheme()).toEqual({
+      dark: false,
+      colors: LIGHT_COLORS,
+      fonts: DEFAULT_FONTS,
+      radii: DEFAULT_RADII
+    });
+  });
+
+  it('merges the given colors over the dark defaults in dark mode', () => {
+    const theme = createConsentTheme({ dark: true, colors: { primary: '#ff6600' } });
+
+    expect(theme.dark).toBe(true);
+    expect(theme.colors).toEqual({ ...DARK_COLORS, primary: '#ff6600' });
+  });
+
+  it('keeps the default font sizes and radii that are not overridden', () => {
+    const theme = createConsentTheme({
+      fonts: { family: 'Inter', sizes: { title: 24 } },
+      radii: { button: 20 }
+    });
+
+    expect(theme.fonts).toEqual({
+      family: 'Inter',
+      boldFamily: undefined,
+      sizes: { ...DEFAULT_FONTS.sizes, title: 24 }
+    });
+    expect(theme.radii).toEqual({ ...DEFAULT_RADII, button: 20 });
+  });
+});
+
+describe('fontStyle', () => {
+  it('uses the family and a weight by default', () => {
+    const theme = createConsentTheme({ fonts: { family: 'Inter' } });
+
+    expect(fontStyle(theme)).toEqual({ fontFamily: 'Inter', fontWeight: 'normal' });
+    expect(fontStyle(theme, '600')).toEqual({ fontFamily: 'Inter', fontWeight: '600' });
+  });
+
+  it('switches to the bold family instead of a synthetic weight', () => {
+    const theme = createConsentTheme({ fonts: { family: 'Inter', boldFamily: 'Inter-Bold' } });
+
+    expect(fontStyle(theme)).toEqual({ fontFamily: 'Inter', fontWeight: 'normal' });
+    expect(fontStyle(theme, 'bold')).toEqual({ fontFamily: 'Inter-Bold' });
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  VENDORS,
+  loadVendorMap,
+  restoreVendorPreferences,
+  setAllPreferences,
+  toVendorMap
+} from '../src/vendors';
+
+describe('toVendorMap', () => {
+  it('keys the vendors as "id (name)" and prefers the title', () => {
+    expect(toVendorMap([
+      { id: 'ga', title: 'Google Analytics', description: 'Analytics', image: 'https://cdn/ga.png' },
+      { id: 'mixpanel', name: 'Mixpanel' }
+    ])).toEqual({
+      'ga (Google Analytics)': { id: 'ga', name: 'Google Analytics', description: 'Analytics', image: 'https://cdn/ga.png' },
+      'mixpanel (Mixpanel)': { id: 'mixpanel', name: 'Mixpanel', description: null, image: undefined }
+    });
+  });
+});
+
+describe('loadVendorMap', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the vendors of the project', async () => {
+    const client = { fetchVendors: jest.fn().mockResolvedValue([{ id: 'ga', title: 'Google Analytics' }]) };
+
+    const { vendorMap, error } = await loadVendorMap(client);
+
+    expect(Object.keys(vendorMap)).toEqual(['ga (Google Analytics)']);
+    expect(error).toBeNull();
+  });
+
+  it.each([
+    ['401', Object.assign(new Error('API error 401'), { status: 401 })],
+    ['404', Object.assign(new Error('API error 404'), { status: 404 })],
+    ['5xx', Object.assign(new Error('API error 502'), { status: 502 })],
+    ['network', new TypeError('Network request failed')]
+  ])('falls back to the hardcoded VENDORS on %s errors', async (label, failure) => {
+    const client = { fetchVendors: jest.fn().mockRejectedValue(failure) };
+
+    const { vendorMap, error } = await loadVendorMap(client);
+
+    expect(vendorMap).toBe(VENDORS);
+    expect(error).toBe(failure);
+  });
+});
+
+describe('vendor preferences', () => {
+  const vendorMap = {
+    'ga (Google Analytics)': { id: 'ga', name: 'Google Analytics' },
+    'fb (Facebook Pixel)': { id: 'fb', name: 'Facebook Pixel' }
+  };
+
+  it('switches every vendor on or off', () => {
+    expect(setAllPreferences(vendorMap, true)).toEqual({
+      'ga (Google Analytics)': true,
+      'fb (Facebook Pixel)': true
+    });
+    expect(setAllPreferences(vendorMap, false)).toEqual({
+      'ga (Google Analytics)': false,
+      'fb (Facebook Pixel)': false
+    });
+  });
+
+  it('restores the switches from a previous consent, new vendors off', () => {
+    expect(restoreVendorPreferences(vendorMap, { 'ga (Google Analytics)': true })).toEqual({
+      'ga (Google Analytics)': true,
+      'fb (Facebook Pixel)': false
+    });
+  });
+});
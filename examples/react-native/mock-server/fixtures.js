@@ -0,0 +1,66 @@
+// Default data served by the mock server. Pass your own fixtures to
+// createMockServer() or point MOCK_FIXTURES at a JSON file to override any key.
+
+module.exports = {
+  // API tokens accepted as `Authorization: Bearer <token>`, empty accepts any token.
+  // JWT tokens are refused once expired (`exp` claim).
+  apiTokens: [],
+
+  // Response of GET /auth/me, projectId is filled in from the token when possible
+  auth: {
+    tier: 'free',
+    authorized: true,
+    scopes: ['read_projects', 'manage_consents']
+  },
+
+  // Response of GET /configurations/:projectId
+  configuration: {
+    defaultConfigId: 'mock_cookies_config',
+    steps: [
+      {
+        name: 'analytics',
+        title: 'Analytics',
+        subTitle: 'Measure how the app is used',
+        vendors: ['mock_google_analytics', 'mock_mixpanel']
+      },
+      {
+        name: 'advertising',
+        title: 'Advertising',
+        subTitle: 'Show and measure relevant ads',
+        vendors: ['mock_facebook_pixel']
+      }
+    ],
+    contracts: [
+      {
+        identifier: 'terms_of_service',
+        title: { en: 'Terms of Service', fr: 'Conditions d\'utilisation' },
+        description: {
+          en: 'Please read and accept our terms of service to use the app.',
+          fr: 'Merci de lire et d\'accepter nos conditions d\'utilisation.'
+        }
+      }
+    ]
+  },
+
+  // Response of GET /vendors/:projectId
+  vendors: [
+    {
+      id: 'mock_google_analytics',
+      title: 'Google Analytics',
+      description: 'Usage statistics and analytics'
+    },
+    {
+      id: 'mock_facebook_pixel',
+      title: 'Facebook Pixel',
+      description: 'Ad targeting and conversion tracking'
+    },
+    {
+      id: 'mock_mixpanel',
+      title: 'Mixpanel',
+      description: 'Product analytics and user behavior'
+    }
+  ],
+
+  // Consents stored before the server starts (same shape as submitted ones)
+  consents: []
+};
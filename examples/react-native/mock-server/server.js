@@ -0,0 +1,409 @@
+// In-memory mock of the Axeptio headless /mobile API for local development
+// and tests. Serves the `local-dev` environment (http://localhost:3000/mobile).
+//
+//   npm run mock-server
+//   PORT=4000 MOCK_LATENCY=500 MOCK_FIXTURES=./my-fixtures.json npm run mock-server
+//   MOCK_ERRORS='{"submitConsent":{"status":503,"times":2}}' npm run mock-server
+//
+// Errors and latency can also be changed while the server runs through the
+// /__mock admin routes (see README).
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const defaultFixtures = require('./fixtures');
+
+const API_PREFIX = '/mobile';
+const ADMIN_PREFIX = '/__mock';
+
+// Routes of the mock API: [route name, method, path pattern]
+const ROUTES = [
+  ['configuration', 'GET', /^\/configurations\/([^/]+)$/],
+  ['vendors', 'GET', /^\/vendors\/([^/]+)$/],
+  ['token', 'GET', /^\/token$/],
+  ['authMe', 'GET', /^\/auth\/me$/],
+  ['submitConsent', 'POST', /^\/consents\/([^/]+)\/([^/]+)\/([^/]+)$/],
+  ['getConsentHistory', 'GET', /^\/client\/([^/]+)\/consents\/([^/]+)\/history$/],
+  ['getConsent', 'GET', /^\/client\/([^/]+)\/consents\/([^/]+)$/],
+  ['eraseConsents', 'DELETE', /^\/client\/([^/]+)\/consents\/([^/]+)$/],
+  ['linkAccount', 'POST', /^\/client\/([^/]+)\/accounts\/([^/]+)\/tokens$/],
+  ['getAccountConsent', 'GET', /^\/client\/([^/]+)\/accounts\/([^/]+)\/consents$/]
+];
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    if (!raw) {
+      resolve(undefined);
+      return;
+    }
+    try {
+      resolve(JSON.parse(raw));
+    } catch {
+      reject(new Error('Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const generateId = () => crypto.randomBytes(12).toString('hex');
+
+// Claims of a JWT API token, null for opaque tokens
+const decodeJwtPayload = (apiToken) => {
+  const parts = (apiToken || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// Test API tokens look like `project_<projectId>_test_token`,
+// JWT API tokens carry a `projectId` claim
+const getTokenProjectId = (apiToken) => {
+  const match = /^project_(.+)_test_token$/.exec(apiToken || '');
+  return match ? match[1] : decodeJwtPayload(apiToken)?.projectId || null;
+};
+
+// JWT API tokens are refused once their `exp` claim is past
+const isTokenExpired = (apiToken) => {
+  const exp = decodeJwtPayload(apiToken)?.exp;
+  return typeof exp === 'number' && exp * 1000 <= Date.now();
+};
+
+// Unsigned JWT API token for tests, e.g. createApiToken({ projectId, exp })
+const createApiToken = (claims = {}) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ iat: Math.floor(Date.now() / 1000), ...claims })}.mock`;
+};
+
+// Create a mock server. Options:
+// - fixtures: overrides of ./fixtures.js
+// - latency: delay in ms for every response, or { [routeName]: ms, default: ms }
+// - errors: { [routeName | '*']: { status, body, times, network } }, see injectError()
+const createMockServer = ({ fixtures = {}, latency = 0, errors = {} } = {}) => {
+  const data = { ...defaultFixtures, ...fixtures };
+  const state = {
+    consents: [],
+    tokens: new Set(),
+    accounts: new Map(), // `${projectId}:${accountId}` -> Set of linked user tokens
+    latency,
+    errors: {},
+    requests: []
+  };
+
+  // Make the next `times` calls of a route (or '*' for all routes) fail.
+  // `network: true` drops the connection instead of answering.
+  const injectError = (routeName, { status = 500, body, times = Infinity, network = false } = {}) => {
+    state.errors[routeName] = {
+      status,
+      body: body || { message: `Injected error on ${routeName}` },
+      remaining: times,
+      network
+    };
+  };
+
+  const clearErrors = () => {
+    state.errors = {};
+  };
+
+  const setLatency = (value) => {
+    state.latency = value;
+  };
+
+  // Back to the fixtures: stored consents, issued tokens, errors and latency
+  const reset = () => {
+    state.consents = (data.consents || []).map(consent => ({ ...consent }));
+    state.tokens = new Set();
+    state.accounts = new Map();
+    state.requests = [];
+    clearErrors();
+    setLatency(latency);
+    Object.entries(errors).forEach(([routeName, options]) => injectError(routeName, options));
+  };
+
+  const getLatency = (routeName) => {
+    if (typeof state.latency === 'number') {
+      return state.latency;
+    }
+    return state.latency?.[routeName] ?? state.latency?.default ?? 0;
+  };
+
+  // Injected error for a route, consuming one of its remaining occurrences
+  const takeError = (routeName) => {
+    const error = state.errors[routeName] || state.errors['*'];
+    if (!error || error.remaining <= 0) {
+      return null;
+    }
+    error.remaining -= 1;
+    return error;
+  };
+
+  const isAuthorized = (req) => {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match || isTokenExpired(match[1])) {
+      return false;
+    }
+    return data.apiTokens.length === 0 || data.apiTokens.includes(match[1]);
+  };
+
+  // Consents of a token in submission order, optionally restricted to a collection/configuration
+  const findConsents = ({ projectId, token, collection, configId }) =>
+    state.consents
+      .filter(consent =>
+        consent.projectId === projectId &&
+        consent.token === token &&
+        (!collection || consent.collection === collection) &&
+        (!configId || consent.configId === configId)
+      );
+
+  const handlers = {
+    configuration: ([projectId]) => [200, { projectId, ...data.configuration }],
+
+    vendors: () => [200, { vendors: data.vendors }],
+
+    token: () => {
+      const token = `mock_${generateId()}`;
+      state.tokens.add(token);
+      return [200, { token }];
+    },
+
+    authMe: (params, req) => {
+      const apiToken = req.headers.authorization.replace(/^Bearer /, '');
+      return [200, { projectId: getTokenProjectId(apiToken), ...data.auth }];
+    },
+
+    submitConsent: ([projectId, collection, configId], req, body) => {
+      if (!body || typeof body !== 'object') {
+        return [400, { message: 'Consent body is required' }];
+      }
+      if (!body.token) {
+        return [400, { message: 'Consent token is required' }];
+      }
+      const consent = {
+        id: generateId(),
+        projectId,
+        collection,
+        configId,
+        token: body.token,
+        accept: body.accept !== false,
+        preferences: body.preferences || {},
+        googleConsentMode: body.googleConsentMode,
+        createdAt: new Date().toISOString()
+      };
+      state.consents.push(consent);
+      return [201, consent];
+    },
+
+    getConsent: ([projectId, token], req, body, query) => {
+      const matches = findConsents({
+        projectId,
+        token: decodeURIComponent(token),
+        collection: query.get('service'),
+        configId: query.get('identifier')
+      });
+      if (matches.length === 0) {
+        return [404, { message: 'Consent not found' }];
+      }
+      return [200, matches[matches.length - 1]];
+    },
+
+    getConsentHistory: ([projectId, token], req, body, query) => [200, findConsents({
+      projectId,
+      token: decodeURIComponent(token),
+      collection: query.get('service')
+    })],
+
+    eraseConsents: ([projectId, token]) => {
+      const erased = new Set(findConsents({ projectId, token: decodeURIComponent(token) }));
+      state.consents = state.consents.filter(consent => !erased.has(consent));
+      return [200, { token: decodeURIComponent(token), deletedCount: erased.size }];
+    },
+
+    linkAccount: ([projectId, accountId], req, body) => {
+      if (!body?.token) {
+        return [400, { message: 'Token is required' }];
+      }
+      const key = `${projectId}:${decodeURIComponent(accountId)}`;
+      const tokens = state.accounts.get(key) || new Set();
+      tokens.add(body.token);
+      state.accounts.set(key, tokens);
+      return [200, { accountId: decodeURIComponent(accountId), tokens: [...tokens] }];
+    },
+
+    // Latest consent of any token linked to the account
+    getAccountConsent: ([projectId, accountId], req, body, query) => {
+      const tokens = state.accounts.get(`${projectId}:${decodeURIComponent(accountId)}`) || new Set();
+      const matches = [...tokens]
+        .flatMap(token => findConsents({
+          projectId,
+          token,
+          collection: query.get('service'),
+          configId: query.get('identifier')
+        }))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      if (matches.length === 0) {
+        return [404, { message: 'Consent not found' }];
+      }
+      return [200, matches[matches.length - 1]];
+    }
+  };
+
+  // /__mock admin routes: inspect state and change errors/latency at runtime
+  const handleAdmin = async (req, res, route) => {
+    const body = (req.method === 'POST' && await readBody(req)) || {};
+    if (req.method === 'GET' && route === '/state') {
+      sendJson(res, 200, {
+        consents: state.consents,
+        tokens: [...state.tokens],
+        accounts: Object.fromEntries([...state.accounts].map(([key, tokens]) => [key, [...tokens]])),
+        errors: state.errors,
+        latency: state.latency,
+        requests: state.requests
+      });
+    } else if (req.method === 'POST' && route === '/errors') {
+      injectError(body.route || '*', body);
+      sendJson(res, 200, { errors: state.errors });
+    } else if (req.method === 'DELETE' && route === '/errors') {
+      clearErrors();
+      sendJson(res, 200, { errors: state.errors });
+    } else if (req.method === 'POST' && route === '/latency') {
+      setLatency(body.latency ?? 0);
+      sendJson(res, 200, { latency: state.latency });
+    } else if (req.method === 'POST' && route === '/reset') {
+      reset();
+      sendJson(res, 200, { reset: true });
+    } else {
+      sendJson(res, 404, { message: `Unknown admin route ${req.method} ${route}` });
+    }
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+      });
+      res.end();
+      return;
+    }
+    if (url.pathname.startsWith(ADMIN_PREFIX)) {
+      await handleAdmin(req, res, url.pathname.slice(ADMIN_PREFIX.length));
+      return;
+    }
+    if (!url.pathname.startsWith(API_PREFIX)) {
+      sendJson(res, 404, { message: 'Not found' });
+      return;
+    }
+
+    const routePath = url.pathname.slice(API_PREFIX.length);
+    const route = ROUTES.find(([, method, pattern]) => method === req.method && pattern.test(routePath));
+    if (!route) {
+      sendJson(res, 404, { message: `No route for ${req.method} ${routePath}` });
+      return;
+    }
+    const [routeName, , pattern] = route;
+    state.requests.push({ route: routeName, method: req.method, path: routePath, at: new Date().toISOString() });
+
+    const delay = getLatency(routeName);
+    if (delay > 0) {
+      await sleep(delay);
+    }
+
+    const injected = takeError(routeName);
+    if (injected?.network) {
+      req.socket.destroy();
+      return;
+    }
+    if (injected) {
+      sendJson(res, injected.status, injected.body);
+      return;
+    }
+
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { message: 'Invalid or missing API token' });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      sendJson(res, 400, { message: error.message });
+      return;
+    }
+
+    const params = pattern.exec(routePath).slice(1);
+    const [status, responseBody] = handlers[routeName](params, req, body, url.searchParams);
+    sendJson(res, status, responseBody);
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('Mock server error:', error);
+      sendJson(res, 500, { message: error.message });
+    });
+  });
+
+  reset();
+
+  return {
+    server,
+    state,
+    injectError,
+    clearErrors,
+    setLatency,
+    reset,
+    // Start listening, resolves with the API base URL (port 0 picks a free port)
+    listen: (port = 3000) => new Promise(resolve => {
+      server.listen(port, () => {
+        resolve(`http://localhost:${server.address().port}${API_PREFIX}`);
+      });
+    }),
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+};
+
+// Fixtures file given through MOCK_FIXTURES, relative to the working directory
+const loadFixturesFile = (file) => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+// Latency from MOCK_LATENCY: a number of ms or a JSON object per route
+const parseLatency = (value) => {
+  if (!value) {
+    return 0;
+  }
+  return /^\d+$/.test(value) ? Number(value) : JSON.parse(value);
+};
+
+if (require.main === module) {
+  const mock = createMockServer({
+    fixtures: process.env.MOCK_FIXTURES ? loadFixturesFile(process.env.MOCK_FIXTURES) : {},
+    latency: parseLatency(process.env.MOCK_LATENCY),
+    errors: process.env.MOCK_ERRORS ? JSON.parse(process.env.MOCK_ERRORS) : {}
+  });
+  mock.listen(Number(process.env.PORT) || 3000).then(baseUrl => {
+    console.log(`Axeptio mock API listening on ${baseUrl}`);
+  });
+}
+
+module.exports = { createMockServer, createApiToken };
@@ -0,0 +1,305 @@
+import { ENVIRONMENTS, DEFAULT_ENVIRONMENT, REQUIRED_API_SCOPES } from './config';
+import {
+  AuthError,
+  AxeptioError,
+  NetworkError,
+  NotFoundError,
+  ValidationError,
+  createApiError
+} from './errors';
+import { TOKEN_REFRESH_MARGIN, getTokenExpiry, isTokenExpiring } from './apiToken';
+
+// Collection used by the cookie consent widget
+export const DEFAULT_COLLECTION = 'cookies';
+
+// The API has returned the consent ID under several names over time
+const CONSENT_ID_FIELDS = ['id', '_id', 'consentId', 'uuid', 'insertedId'];
+
+// Pick the consent ID out of a consent submit or read response
+export const findConsentId = (data) => {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  const field = CONSENT_ID_FIELDS.find(name => data[name]);
+  return field ? data[field] : null;
+};
+
+// UI-free client for the Axeptio headless /mobile API.
+// Every method returns a promise and rejects with one of the errors of
+// ./errors, so screens and background code can decide how to surface failures.
+export class AxeptioClient {
+  // Authenticates with `apiToken`, a fixed API token, or with `tokenProvider`,
+  // an async ({ reason, previousToken }) => token callback called for the first
+  // token, before the current one expires and after a 401 (`reason` is
+  // 'initial', 'expiring' or 'unauthorized').
+  // `baseUrl` overrides the URL of the environment, e.g. for a mock server.
+  constructor({ projectId, apiToken = null, tokenProvider = null, environment = DEFAULT_ENVIRONMENT, baseUrl }) {
+    this.projectId = projectId;
+    this.apiToken = apiToken;
+    this.tokenProvider = tokenProvider;
+    this.environment = ENVIRONMENTS[environment] ? environment : DEFAULT_ENVIRONMENT;
+    this.baseUrl = baseUrl || ENVIRONMENTS[this.environment].url;
+    this.refreshing = null;
+  }
+
+  // Ask the token provider for a new API token. Concurrent calls share the same refresh.
+  refreshApiToken(reason) {
+    if (!this.tokenProvider) {
+      return Promise.reject(new AuthError('No token provider to refresh the API token'));
+    }
+    if (!this.refreshing) {
+      const previousToken = this.apiToken;
+      this.refreshing = Promise.resolve()
+        .then(() => this.tokenProvider({ reason, previousToken }))
+        .then(token => {
+          if (!token) {
+            throw new AuthError('The token provider returned no API token');
+          }
+          this.apiToken = token;
+          return token;
+        }, error => {
+          throw error instanceof AxeptioError
+            ? error
+            : new AuthError(`Could not get an API token: ${error.message}`, { cause: error });
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // API token for the next request, refreshed first when missing or about to expire
+  async getApiToken({ method, endpoint } = {}) {
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+    if (this.tokenProvider && !this.apiToken) {
+      return this.refreshApiToken('initial');
+    }
+    if (this.tokenProvider && isTokenExpiring(this.apiToken, TOKEN_REFRESH_MARGIN)) {
+      return this.refreshApiToken('expiring');
+    }
+    if (!this.apiToken) {
+      throw new AuthError('No API token', { method, endpoint });
+    }
+    if (isTokenExpiring(this.apiToken)) {
+      throw new AuthError(
+        `API token expired on ${getTokenExpiry(this.apiToken).toISOString()}`,
+        { method, endpoint }
+      );
+    }
+    return this.apiToken;
+  }
+
+  // Perform an authenticated request and parse the response body. After a 401
+  // the token is refreshed through the token provider and the request retried once.
+  async request(path, { method = 'GET', body } = {}) {
+    const apiToken = await this.getApiToken({ method, endpoint: path });
+    try {
+      return await this.send(path, { method, body, apiToken });
+    } catch (error) {
+      if (!(error instanceof AuthError) || error.status !== 401 || !this.tokenProvider) {
+        throw error;
+      }
+      // Another request may have refreshed the token in the meantime
+      const freshToken = this.apiToken !== apiToken && !this.refreshing
+        ? this.apiToken
+        : await this.refreshApiToken('unauthorized');
+      return this.send(path, { method, body, apiToken: freshToken });
+    }
+  }
+
+  // One HTTP request with the given API token
+  async send(path, { method, body, apiToken }) {
+    const headers = {
+      'Accept': 'application/json',
+      'Authorization': `Bearer ${apiToken}`
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new NetworkError(`Network error: ${error.message}`, { method, endpoint: path, cause: error });
+    }
+
+    const responseText = await response.text();
+    let data = null;
+    if (responseText) {
+      try {
+        data = JSON.parse(responseText);
+      } catch {
+        data = { message: responseText };
+      }
+    }
+
+    if (!response.ok) {
+      throw createApiError({
+        status: response.status,
+        body: data,
+        method,
+        endpoint: path,
+        responseText,
+        retryAfter: response.headers.get('Retry-After')
+      });
+    }
+
+    return { status: response.status, data };
+  }
+
+  // Get the project configuration (includes defaultConfigId)
+  async fetchConfiguration() {
+    const endpoint = `/configurations/${this.projectId}`;
+    const { status, data } = await this.request(endpoint);
+    if (!data || !data.defaultConfigId) {
+      throw new ValidationError('defaultConfigId not found in configuration', { status, body: data, endpoint });
+    }
+    return data;
+  }
+
+  // Get the raw vendor list configured for the project
+  async fetchVendors() {
+    const endpoint = `/vendors/${this.projectId}`;
+    const { status, data } = await this.request(endpoint);
+    if (!data || !Array.isArray(data.vendors)) {
+      throw new ValidationError('Vendors not found in API response', { status, body: data, endpoint });
+    }
+    return data.vendors;
+  }
+
+  // Get a new anonymous user token
+  async fetchToken() {
+    const { status, data } = await this.request('/token');
+    if (!data || !data.token) {
+      throw new ValidationError('Token not found in API response', { status, body: data, endpoint: '/token' });
+    }
+    return data.token;
+  }
+
+  // Get the project, tier, scopes and authorization status of the API token.
+  // `missingScopes` lists the required scopes the token lacks (none when the
+  // API does not report scopes) and `expiresAt` is the token expiry, if known.
+  async checkAuth(requiredScopes = REQUIRED_API_SCOPES) {
+    const { data } = await this.request('/auth/me');
+    const scopes = Array.isArray(data?.scopes) ? data.scopes : null;
+    return {
+      ...data,
+      scopes,
+      missingScopes: scopes ? requiredScopes.filter(scope => !scopes.includes(scope)) : [],
+      expiresAt: getTokenExpiry(this.apiToken)
+    };
+  }
+
+  // Check the API token is authorized and has the required scopes.
+  // Resolves with checkAuth() or rejects with an AuthError.
+  async verifyAuth(requiredScopes = REQUIRED_API_SCOPES) {
+    const auth = await this.checkAuth(requiredScopes);
+    const details = { status: 200, body: auth, endpoint: '/auth/me' };
+    if (auth.authorized === false) {
+      throw new AuthError('The API token is not authorized on this project', details);
+    }
+    if (auth.missingScopes.length > 0) {
+      throw new AuthError(`The API token is missing scopes: ${auth.missingScopes.join(', ')}`, details);
+    }
+    return auth;
+  }
+
+  // Store a consent in a collection (cookies, processing, contract, ...)
+  // and return the HTTP status, the response and the consent ID
+  async submitConsent(configId, consent, collection = DEFAULT_COLLECTION) {
+    const { status, data } = await this.request(
+      `/consents/${this.projectId}/${collection}/${configId}`,
+      { method: 'POST', body: consent }
+    );
+    return { status, data, consentId: findConsentId(data) };
+  }
+
+  // Read the latest consent stored for a token in a collection, or null when there is none
+  async getConsent(token, configId, collection = DEFAULT_COLLECTION) {
+    const query = `identifier=${encodeURIComponent(configId)}&service=${encodeURIComponent(collection)}`;
+    try {
+      const { data } = await this.request(
+        `/client/${this.projectId}/consents/${encodeURIComponent(token)}?${query}`
+      );
+      if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+        return null;
+      }
+      return data;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Read every consent stored for a token in a collection.
+  // Resolves with [] when the token has no history.
+  // Mock-only: the documented headless API has no history endpoint, only
+  // mock-server/server.js serves this route. Against staging and production
+  // it rejects (NotFoundError for the unknown route), so callers should fall
+  // back to the records kept on the device (see buildConsentTimeline).
+  async getConsentHistory(token, collection = DEFAULT_COLLECTION) {
+    const query = `service=${encodeURIComponent(collection)}`;
+    const { data } = await this.request(
+      `/client/${this.projectId}/consents/${encodeURIComponent(token)}/history?${query}`
+    );
+    return Array.isArray(data) ? data : data?.consents || data?.history || [];
+  }
+
+  // Link an anonymous user token to an account identifier of the app, so the
+  // consents of every device the account logs in on are read together.
+  // Resolves with the HTTP status and the tokens linked to the account.
+  // Mock-only: the documented headless API has no account endpoints, only
+  // mock-server/server.js serves this route and getAccountConsent's. Against
+  // staging and production it rejects with a NotFoundError.
+  async linkAccount(token, accountId) {
+    const { status, data } = await this.request(
+      `/client/${this.projectId}/accounts/${encodeURIComponent(accountId)}/tokens`,
+      { method: 'POST', body: { token } }
+    );
+    return { status, tokens: Array.isArray(data?.tokens) ? data.tokens : [token] };
+  }
+
+  // Read the latest consent of an account across its linked tokens,
+  // or null when there is none. Mock-only, see linkAccount.
+  async getAccountConsent(accountId, configId, collection = DEFAULT_COLLECTION) {
+    const query = `identifier=${encodeURIComponent(configId)}&service=${encodeURIComponent(collection)}`;
+    try {
+      const { data } = await this.request(
+        `/client/${this.projectId}/accounts/${encodeURIComponent(accountId)}/consents?${query}`
+      );
+      if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+        return null;
+      }
+      return data;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Ask the API to delete every consent stored for a token, in every collection.
+  // Resolves with the HTTP status and the number of deleted consents (null
+  // when the API does not say, 0 when the token has none).
+  // Mock-only: the documented headless API has no erasure endpoint, only
+  // mock-server/server.js serves this route. Against staging and production
+  // it rejects (NotFoundError for the unknown route) so nothing is cleared.
+  async eraseConsents(token) {
+    const { status, data } = await this.request(
+      `/client/${this.projectId}/consents/${encodeURIComponent(token)}`,
+      { method: 'DELETE' }
+    );
+    return { status, deletedCount: typeof data?.deletedCount === 'number' ? data.deletedCount : null };
+  }
+}
@@ -0,0 +1,1129 @@
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { TCF_SETTINGS, CONSENT_DOCUMENTS } from './config';
+import { AxeptioClient, DEFAULT_COLLECTION, findConsentId } from './AxeptioClient';
+import {
+  loadUserToken,
+  saveUserToken,
+  clearUserToken,
+  loadAccountId,
+  saveAccountId,
+  clearAccountId,
+  loadLastConsent,
+  saveLastConsent,
+  clearLastConsent,
+  loadCollectionConsents,
+  saveCollectionConsent,
+  removeCollectionConsent,
+  clearCollectionConsents,
+  loadConsentHistory,
+  saveConsentHistoryEntry,
+  clearConsentHistory
+} from './consentStorage';
+import { ConsentQueue, isRetryableError, startConsentQueueSync } from './ConsentQueue';
+import { NotFoundError, ValidationError } from './errors';
+import { DEFAULT_CONSENT_MODE_MAPPING, getDefaultConsentMode, normalizeId } from './googleConsentMode';
+import { getConsentExpiry, isConsentExpired } from './consentExpiration';
+import { detectConsentChanges } from './consentFingerprint';
+import {
+  GROUP_STATES,
+  extractGroups,
+  groupVendors,
+  getGroupState
+} from './purposeGroups';
+import {
+  BUNDLED_TEXTS,
+  createTranslator,
+  getConfigurationTexts,
+  getDeviceLanguages,
+  resolveLanguage
+} from './i18n';
+import { loadGlobalVendorList } from './tcf/globalVendorList';
+import {
+  extractConsentDocuments,
+  getDocumentKey,
+  mergeConsentDocuments
+} from './consentDocuments';
+import { getVendorChoices, vendorGate } from './vendorGate';
+import { buildConsentTimeline } from './consentHistory';
+import { buildConsentExport } from './consentExport';
+import { mergeAccountConsent } from './consentAccount';
+import {
+  VENDORS,
+  loadVendorMap,
+  restoreVendorPreferences,
+  setAllPreferences
+} from './vendors';
+import { buildConsentSubmission, buildFingerprint } from './consentPayload';
+import {
+  CONSENT_REGIMES,
+  describeRegionForPayload,
+  resolveConsentRegion
+} from './consentRegions';
+
+// Consent state shared with every screen of the app: the provider loads the
+// configuration, vendors, token and last consent, and owns the preference
+// center. Screens read it through useConsent() and the hooks below.
+
+// Groups for the hardcoded vendors, used when the configuration declares none
+const getFallbackGroups = (t) => [
+  { id: 'analytics', title: t('analyticsGroup'), description: t('analyticsGroupDescription'), vendorRefs: ['google_analytics', 'mixpanel'] },
+  { id: 'advertising', title: t('advertisingGroup'), description: t('advertisingGroupDescription'), vendorRefs: ['facebook_pixel'] }
+];
+
+// Consents that could not be sent are kept here and replayed in the background
+const consentQueue = new ConsentQueue();
+
+// Status label for a stored consent record
+const describeConsent = (record) => {
+  if (record.implicit) {
+    return record.region?.regime === CONSENT_REGIMES.NONE ? '🌐 Not Required' : '🌐 Allowed Until Opt-Out';
+  }
+  if (record.pending) {
+    return '⏳ Pending Sync';
+  }
+  if (record.withdrawn) {
+    return '🚫 Withdrawn';
+  }
+  return record.acceptAll ? '✅ All Accepted' : '⚙️ Custom Preferences';
+};
+
+const ConsentContext = createContext(null);
+
+// Authenticates with `apiToken` or `tokenProvider` (see AxeptioClient).
+// `region` is the user's country code when the app knows it (e.g. from IP
+// geolocation), the device time zone and locale are used otherwise.
+// `consentModeMapping` maps the app's vendors and purposes to the Google
+// Consent Mode signals (see DEFAULT_CONSENT_MODE_MAPPING).
+export function AxeptioConsentProvider({
+  projectId,
+  environment,
+  apiToken,
+  tokenProvider,
+  region,
+  gate = vendorGate,
+  consentModeMapping = DEFAULT_CONSENT_MODE_MAPPING,
+  children
+}) {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [vendorsLoading, setVendorsLoading] = useState(true);
+  const [vendors, setVendors] = useState({}); // Switch states in the preference center
+  const [apiVendors, setApiVendors] = useState(VENDORS); // Fallback to hardcoded initially
+  const [vendorGroups, setVendorGroups] = useState([]); // Purpose/category groups from the configuration
+  const [configurationTexts, setConfigurationTexts] = useState({}); // Translations from the configuration
+  const [consent, setConsent] = useState(null); // Last valid consent record
+  const [consentStatus, setConsentStatus] = useState('Not Set');
+  const [lastConsentId, setLastConsentId] = useState(null);
+  const [lastConsentToken, setLastConsentToken] = useState(null); // Store last used token
+  const [currentUserToken, setCurrentUserToken] = useState(null); // Persistent user token (fetched from API)
+  const [accountId, setAccountId] = useState(null); // Account the user token is linked to, null while anonymous
+  const [configId, setConfigId] = useState(null);
+  const [consentChanges, setConsentChanges] = useState(null); // Vendor list changes since the last consent
+  const [googleConsentMode, setGoogleConsentMode] = useState(getDefaultConsentMode(consentModeMapping)); // Signals to forward to Firebase/GA4
+  const [globalVendorList, setGlobalVendorList] = useState(null); // IAB TCF Global Vendor List
+  const [tcString, setTcString] = useState(null); // IAB TCF v2.2 TC string of the last consent
+  const [configurationDocuments, setConfigurationDocuments] = useState([]); // Processing/contract documents from the configuration
+  const [collectionConsents, setCollectionConsents] = useState({}); // Last consent of each processing/contract document
+  const [activeDocument, setActiveDocument] = useState(null); // Document shown in the processing/contract screen
+  const [loadErrors, setLoadErrors] = useState({}); // Last error of the auth, configuration, vendors and token requests
+
+  const queueHandlersRef = useRef(null); // See startConsentQueueSync below
+
+  // The latest tokenProvider is called, so an inline callback does not recreate the client
+  const tokenProviderRef = useRef(tokenProvider);
+  tokenProviderRef.current = tokenProvider;
+  const hasTokenProvider = Boolean(tokenProvider);
+
+  const client = useMemo(
+    () => new AxeptioClient({
+      projectId,
+      apiToken,
+      tokenProvider: hasTokenProvider ? (request) => tokenProviderRef.current(request) : null,
+      environment
+    }),
+    [projectId, apiToken, hasTokenProvider, environment]
+  );
+
+  // Region of the user and the rule of CONSENT_REGION_RULES that applies there
+  const consentRegion = useMemo(() => resolveConsentRegion(region), [region]);
+  const requiresConsent = consentRegion.rule.regime === CONSENT_REGIMES.OPT_IN;
+
+  // Consent UI language: device locales first, configuration or bundled texts
+  const language = useMemo(
+    () => resolveLanguage(
+      getDeviceLanguages(),
+      [...Object.keys(configurationTexts), ...Object.keys(BUNDLED_TEXTS)]
+    ),
+    [configurationTexts]
+  );
+  const t = useMemo(
+    () => createTranslator(language, configurationTexts),
+    [language, configurationTexts]
+  );
+
+  // Vendors grouped by purpose for the preference center, empty for a flat list
+  const vendorSections = useMemo(() => {
+    if (vendorGroups.length > 0) {
+      return groupVendors(vendorGroups, apiVendors);
+    }
+    return apiVendors === VENDORS ? groupVendors(getFallbackGroups(t), apiVendors) : [];
+  }, [vendorGroups, apiVendors, t]);
+
+  // Processing and contract consent screens offered besides the cookie banner
+  const consentDocuments = useMemo(
+    () => mergeConsentDocuments(CONSENT_DOCUMENTS, configurationDocuments, language),
+    [configurationDocuments, language]
+  );
+
+  // Normalized vendor ID -> granted for the last valid consent
+  const decisions = useMemo(
+    () => getVendorChoices(consent).reduce((acc, choice) => ({
+      ...acc,
+      [normalizeId(choice.id)]: choice.accepted
+    }), {}),
+    [consent]
+  );
+
+  // First-layer banner: shown in opt-in regions while there is no valid
+  // consent (first launch, expired, erased), hidden by the preference center
+  const bannerVisible = isLoaded && requiresConsent && consent === null && !modalVisible;
+
+  // Fetch configuration, vendors, token and last consent on mount or when settings
+  // change. The client changes with the project, environment and credentials, so
+  // a new API token or token provider checks the authentication again.
+  // The state of the previous project is cleared first, and the results of a
+  // run superseded by a newer one are ignored.
+  useEffect(() => {
+    let cancelled = false;
+    const isCancelled = () => cancelled;
+
+    const initialize = async () => {
+      setIsLoaded(false);
+      setConsent(null);
+      setConsentStatus('Not Set');
+      setLastConsentId(null);
+      setLastConsentToken(null);
+      setCurrentUserToken(null);
+      setAccountId(null);
+      setConsentChanges(null);
+      setGoogleConsentMode(getDefaultConsentMode(consentModeMapping));
+      setTcString(null);
+      setCollectionConsents({});
+      setLoadErrors({});
+
+      // An expired, unauthorized or under-scoped API token is reported, the
+      // requests below fail with their own errors
+      try {
+        await client.verifyAuth();
+        if (cancelled) {
+          return;
+        }
+        setLoadError('auth', null);
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.error('API token check failed:', error);
+        setLoadError('auth', error);
+      }
+
+      // Without configuration the vendors are shown ungrouped and submitting
+      // fetches it again; the error is kept in loadErrors for the host app
+      let currentConfigId = null;
+      try {
+        currentConfigId = await fetchConfiguration(isCancelled);
+      } catch (error) {
+        console.error('Failed to fetch configuration:', error);
+      }
+      const vendorMap = await fetchVendors(isCancelled);
+      if (cancelled) {
+        return;
+      }
+
+      if (TCF_SETTINGS.cmpId) {
+        const gvl = await loadGlobalVendorList({ url: TCF_SETTINGS.vendorListUrl });
+        if (cancelled) {
+          return;
+        }
+        setGlobalVendorList(gvl);
+      }
+
+      // Restore the last consent so a returning user is not asked again
+      let restoredConsent = null;
+      try {
+        const lastConsent = await loadLastConsent(projectId, environment);
+        if (cancelled) {
+          return;
+        }
+        if (lastConsent) {
+          setLastConsentToken(lastConsent.token);
+          setLastConsentId(lastConsent.consentId);
+
+          if (isConsentExpired(lastConsent)) {
+            // An expired consent no longer grants anything, the first-layer
+            // banner asks the user again
+            setConsentStatus('⌛ Expired');
+            setGoogleConsentMode(getDefaultConsentMode(consentModeMapping));
+            setTcString(null);
+            console.log('Last consent expired on:', getConsentExpiry(lastConsent)?.toISOString());
+          } else {
+            restoredConsent = lastConsent;
+            setConsent(lastConsent);
+            setConsentStatus(describeConsent(lastConsent));
+            setGoogleConsentMode(lastConsent.googleConsentMode || getDefaultConsentMode(consentModeMapping));
+            setTcString(lastConsent.tcString || null);
+            console.log('Restored last consent:', lastConsent.consentId);
+            reviewConsentChanges(lastConsent, currentConfigId, vendorMap);
+          }
+        }
+      } catch (error) {
+        console.error('Failed to load last consent:', error);
+      }
+      gate.update(restoredConsent || applyRegionDefault(currentConfigId, vendorMap), 'restore');
+
+      // Processing and contract consents are stored apart from the cookie consent
+      try {
+        const consents = await loadCollectionConsents(projectId, environment);
+        if (cancelled) {
+          return;
+        }
+        setCollectionConsents(consents);
+      } catch (error) {
+        console.error('Failed to load collection consents:', error);
+      }
+
+      try {
+        const storedAccountId = await loadAccountId(projectId, environment);
+        if (cancelled) {
+          return;
+        }
+        setAccountId(storedAccountId);
+      } catch (error) {
+        console.error('Failed to load account:', error);
+      }
+
+      // Reuse the stored user token, only fetch one on first launch
+      try {
+        const storedToken = await loadUserToken(projectId, environment);
+        const token = storedToken || await fetchToken(isCancelled);
+        if (cancelled) {
+          return;
+        }
+        setCurrentUserToken(token);
+        console.log('Consent provider initialized with token:', token);
+      } catch (error) {
+        console.error('Failed to fetch initial token:', error);
+        // App can still work, user can generate token manually
+      }
+
+      if (!cancelled) {
+        setIsLoaded(true);
+      }
+    };
+
+    if (projectId && environment) {
+      initialize();
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [client, region]);
+
+  // Replay consents queued while offline. The handlers of the latest render
+  // are called, they read the current configuration and vendors.
+  useEffect(() => startConsentQueueSync(consentQueue, client, {
+    onSubmitted: item => queueHandlersRef.current.onSubmitted(item),
+    onDropped: item => queueHandlersRef.current.onDropped(item)
+  }), [client]);
+
+  // Ask again when the configuration or vendor list changed since the last consent,
+  // keeping the choices already made and highlighting the new vendors.
+  // Skipped when the vendors could not be loaded: the hardcoded fallback list
+  // is not the one the user answered and would ask every user again.
+  const reviewConsentChanges = (lastConsent, currentConfigId, vendorMap) => {
+    if (!currentConfigId || vendorMap === VENDORS) {
+      return;
+    }
+
+    const changes = detectConsentChanges(
+      lastConsent.fingerprint,
+      buildFingerprint(currentConfigId, vendorMap)
+    );
+    if (!changes.changed) {
+      return;
+    }
+
+    // New vendors are not in the previous choices, so they start switched off
+    const addedIds = new Set(changes.added);
+    const newVendorKeys = Object.keys(vendorMap).filter(vendorKey =>
+      addedIds.has(String(vendorMap[vendorKey].id))
+    );
+
+    console.log('Vendor list changed since last consent:', changes);
+    setVendors(restoreVendorPreferences(vendorMap, lastConsent.vendors));
+    setConsentChanges({ ...changes, newVendorKeys });
+    setConsentStatus('🔄 Review Required');
+    setModalVisible(requiresConsent);
+  };
+
+  // Without a valid consent, opt-out and no-banner regions allow every vendor
+  // until the user says otherwise. The implicit record is never stored or sent.
+  // Returns it, or null in opt-in regions.
+  const applyRegionDefault = (currentConfigId, vendorMap) => {
+    if (requiresConsent) {
+      return null;
+    }
+    const { record } = buildConsentSubmission({
+      configId: currentConfigId,
+      token: null,
+      language,
+      vendorMap,
+      acceptAll: true,
+      region: describeRegionForPayload(consentRegion),
+      consentModeMapping
+    });
+    const implicitConsent = { ...record, consentId: null, implicit: true };
+    setConsent(implicitConsent);
+    setConsentStatus(describeConsent(implicitConsent));
+    setGoogleConsentMode(implicitConsent.googleConsentMode);
+    setVendors(setAllPreferences(vendorMap, true));
+    return implicitConsent;
+  };
+
+  // Previous `preferences.vendors`: the stored consent first, the API as a fallback
+  const loadPreviousChoices = async () => {
+    const lastConsent = await loadLastConsent(projectId, environment);
+    if (lastConsent?.vendors) {
+      return lastConsent.vendors;
+    }
+
+    const token = lastConsentToken || currentUserToken;
+    if (!token || !configId) {
+      return null;
+    }
+    const serverConsent = await client.getConsent(token, configId);
+    return serverConsent?.preferences?.vendors || null;
+  };
+
+  // Open the preference center showing what the user agreed to before
+  const openConsentModal = async () => {
+    setModalVisible(true);
+    setVendorsLoading(true);
+    try {
+      const previousVendors = await loadPreviousChoices();
+      if (previousVendors) {
+        setVendors(restoreVendorPreferences(apiVendors, previousVendors));
+      }
+    } catch (error) {
+      console.error('Failed to restore previous choices:', error);
+    } finally {
+      setVendorsLoading(false);
+    }
+  };
+
+  const closeConsentModal = () => setModalVisible(false);
+
+  // Toggle individual vendor
+  const toggleVendor = (vendorKey) => {
+    setVendors(prev => ({
+      ...prev,
+      [vendorKey]: !prev[vendorKey]
+    }));
+  };
+
+  // Switch every vendor of a group on, or off when they are all on already
+  const toggleGroup = (section) => {
+    const enable = getGroupState(section, vendors) !== GROUP_STATES.ACCEPTED;
+    setVendors(prev => ({
+      ...prev,
+      ...section.vendorKeys.reduce((acc, key) => ({ ...acc, [key]: enable }), {})
+    }));
+  };
+
+  // Switch all vendors on
+  const acceptAll = () => setVendors(setAllPreferences(apiVendors, true));
+
+  // Switch all vendors off
+  const rejectAll = () => setVendors(setAllPreferences(apiVendors, false));
+
+  // Current configId, fetched when the configuration is not loaded yet.
+  // Rejects with the client error when it cannot be fetched.
+  const ensureConfigId = async () => configId || fetchConfiguration();
+
+  // Current user token, fetched from the API when there is none yet
+  const ensureUserToken = async () => {
+    if (currentUserToken) {
+      return currentUserToken;
+    }
+    const token = await fetchToken();
+    setCurrentUserToken(token);
+    console.log('Fetched token for consent submission:', token);
+    return token;
+  };
+
+  // Cookie consent for the current user, built from the preference center
+  // state (see buildConsentSubmission for the options)
+  const buildUserConsent = async (options) => {
+    const currentConfigId = await ensureConfigId();
+    const tokenToUse = await ensureUserToken();
+    const { payload, record } = buildConsentSubmission({
+      configId: currentConfigId,
+      token: tokenToUse,
+      language,
+      vendorMap: apiVendors,
+      preferences: vendors,
+      vendorSections,
+      globalVendorList,
+      region: describeRegionForPayload(consentRegion),
+      consentModeMapping,
+      ...options
+    });
+    return { configId: currentConfigId, token: tokenToUse, payload, record };
+  };
+
+  // Send a cookie consent and make it the current consent. Resolves with
+  // { status, consentId, token } or { queued: true } when the consent was kept
+  // for a later retry; other errors reject with the AxeptioError of the failed
+  // call (see ./errors).
+  const sendConsent = async ({ configId: currentConfigId, token: tokenToUse, payload, record: consentRecord }) => {
+    // Store the token for later consent reading
+    setLastConsentToken(tokenToUse);
+    console.log('Using consent token:', tokenToUse);
+
+    try {
+      const { status, consentId } = await client.submitConsent(currentConfigId, payload);
+
+      // A consent queued earlier for this token/config is now outdated
+      consentQueue.discard({ projectId, environment, configId: currentConfigId, consent: payload })
+        .catch(queueError => console.error('Failed to update consent queue:', queueError));
+
+      await applyConsentRecord({ ...consentRecord, consentId: consentId || 'saved' });
+      return { status, consentId, token: tokenToUse };
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        throw error;
+      }
+      await queueConsent(currentConfigId, payload, consentRecord, error);
+      return { queued: true, token: tokenToUse };
+    }
+  };
+
+  // Submit the preference center choices. Resolves like sendConsent.
+  const submitConsent = async (isAcceptAll) => {
+    try {
+      return await sendConsent(await buildUserConsent({ acceptAll: isAcceptAll }));
+    } finally {
+      setModalVisible(false);
+    }
+  };
+
+  // One-tap choices of the first-layer banner: accept or refuse every vendor
+  // and submit right away. Resolve like sendConsent.
+  const submitAllVendors = async (accepted) => {
+    const preferences = setAllPreferences(apiVendors, accepted);
+    setVendors(preferences);
+    return sendConsent(await buildUserConsent({ acceptAll: accepted, preferences }));
+  };
+  const acceptAllConsent = () => submitAllVendors(true);
+  const rejectAllConsent = () => submitAllVendors(false);
+
+  // Withdraw every consent of the current user: the cookie consent is replaced
+  // by a refusal of all vendors and every accepted processing or contract
+  // document is declined. Resolves with { token, queued }, `queued` when one of
+  // them was kept for a later retry.
+  const withdrawConsent = async () => {
+    const result = await sendConsent(await buildUserConsent({ withdrawn: true }));
+    setVendors(setAllPreferences(apiVendors, false));
+
+    let queued = Boolean(result.queued);
+    // Stored records carry the collection and configId submitDocumentConsent needs
+    const acceptedDocuments = Object.values(collectionConsents).filter(record => record.accepted);
+    for (const document of acceptedDocuments) {
+      const documentResult = await submitDocumentConsent(document, false);
+      queued = queued || Boolean(documentResult.queued);
+    }
+    return { token: result.token, queued };
+  };
+
+  // Keep a consent that could not be sent and replay it once the API is reachable
+  const queueConsent = async (currentConfigId, payload, consentRecord, submitError) => {
+    try {
+      await consentQueue.enqueue({ projectId, environment, configId: currentConfigId, consent: payload });
+    } catch (error) {
+      console.error('Failed to queue consent:', error);
+      throw submitError;
+    }
+    await applyConsentRecord({ ...consentRecord, consentId: null, pending: true });
+  };
+
+  // Make a consent record the current consent and persist it
+  const applyConsentRecord = async (record) => {
+    setConsent(record);
+    gate.update(record, 'submit');
+    setConsentStatus(describeConsent(record));
+    setLastConsentId(record.consentId);
+    setGoogleConsentMode(record.googleConsentMode);
+    setTcString(record.tcString);
+    setConsentChanges(null);
+    await persistLastConsent(record);
+  };
+
+  // Submit the accept/decline choice made on a processing or contract screen.
+  // Resolves like submitConsent.
+  const submitDocumentConsent = async (document, accepted) => {
+    const tokenToUse = await ensureUserToken();
+
+    const payload = {
+      accept: accepted,
+      preferences: {
+        config: {
+          language,
+          identifier: document.configId
+        }
+      },
+      token: tokenToUse
+    };
+    const queueEntry = {
+      projectId,
+      environment,
+      collection: document.collection,
+      configId: document.configId,
+      consent: payload
+    };
+    const record = {
+      collection: document.collection,
+      configId: document.configId,
+      token: tokenToUse,
+      accepted,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      const { status, consentId } = await client.submitConsent(document.configId, payload, document.collection);
+      consentQueue.discard(queueEntry)
+        .catch(queueError => console.error('Failed to update consent queue:', queueError));
+      await persistCollectionConsent({ ...record, consentId: consentId || 'saved' });
+      setActiveDocument(null);
+      return { status, consentId, token: tokenToUse };
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        throw error;
+      }
+      try {
+        await consentQueue.enqueue(queueEntry);
+      } catch (queueError) {
+        console.error('Failed to queue consent:', queueError);
+        throw error;
+      }
+      await persistCollectionConsent({ ...record, consentId: null, pending: true });
+      setActiveDocument(null);
+      return { queued: true, token: tokenToUse };
+    }
+  };
+
+  // Show a processing or contract screen, reading the choice stored on the
+  // server when this device has none for the document
+  const openDocument = async (document) => {
+    setActiveDocument(document);
+    if (collectionConsents[getDocumentKey(document)] || !currentUserToken) {
+      return;
+    }
+    try {
+      const serverConsent = await client.getConsent(
+        currentUserToken,
+        document.configId,
+        document.collection
+      );
+      if (serverConsent) {
+        await persistCollectionConsent({
+          collection: document.collection,
+          configId: document.configId,
+          token: currentUserToken,
+          accepted: serverConsent.accept === true,
+          consentId: findConsentId(serverConsent) || 'saved',
+          createdAt: serverConsent.createdAt || serverConsent.timestamp || null
+        });
+      }
+    } catch (error) {
+      console.error('Failed to read document consent:', error);
+    }
+  };
+
+  const closeDocument = () => setActiveDocument(null);
+
+  // Update the stored consent once its queued submission reached the API
+  const handleQueuedConsentSubmitted = async (item) => {
+    console.log('Queued consent submitted:', item.consentId);
+    if ((item.collection || DEFAULT_COLLECTION) !== DEFAULT_COLLECTION) {
+      await handleQueuedDocumentSubmitted(item);
+      return;
+    }
+    try {
+      const lastConsent = await loadLastConsent(projectId, environment);
+      if (
+        lastConsent?.pending &&
+        lastConsent.token === item.consent.token &&
+        lastConsent.configId === item.configId
+      ) {
+        const syncedRecord = { ...lastConsent, consentId: item.consentId || 'saved', pending: false };
+        await persistLastConsent(syncedRecord);
+        setConsent(syncedRecord);
+        setLastConsentId(syncedRecord.consentId);
+        setConsentStatus(describeConsent(syncedRecord));
+      }
+    } catch (error) {
+      console.error('Failed to update synced consent:', error);
+    }
+  };
+
+  // Same as above for a processing or contract consent
+  const handleQueuedDocumentSubmitted = async (item) => {
+    try {
+      const consents = await loadCollectionConsents(projectId, environment);
+      const record = consents[getDocumentKey(item)];
+      if (record?.pending && record.token === item.consent.token) {
+        await persistCollectionConsent({ ...record, consentId: item.consentId || 'saved', pending: false });
+      }
+    } catch (error) {
+      console.error('Failed to update synced consent:', error);
+    }
+  };
+
+  // The queue gave up on a consent (the API kept failing or refused it): the
+  // choice was never recorded, so the pending record is forgotten and the
+  // first-layer banner asks again
+  const handleQueuedConsentDropped = async (item) => {
+    console.warn('Queued consent dropped:', item.lastError);
+    try {
+      if ((item.collection || DEFAULT_COLLECTION) !== DEFAULT_COLLECTION) {
+        const key = getDocumentKey(item);
+        const record = (await loadCollectionConsents(projectId, environment))[key];
+        if (record?.pending && record.token === item.consent.token) {
+          setCollectionConsents(await removeCollectionConsent(projectId, environment, key));
+        }
+        return;
+      }
+      const lastConsent = await loadLastConsent(projectId, environment);
+      if (
+        lastConsent?.pending &&
+        lastConsent.token === item.consent.token &&
+        lastConsent.configId === item.configId
+      ) {
+        await clearLastConsent(projectId, environment);
+        setConsent(null);
+        setLastConsentId(null);
+        setConsentStatus('⚠️ Not Saved');
+        setGoogleConsentMode(getDefaultConsentMode(consentModeMapping));
+        setTcString(null);
+        gate.update(applyRegionDefault(configId, apiVendors), 'reset');
+      }
+    } catch (error) {
+      console.error('Failed to forget dropped consent:', error);
+    }
+  };
+
+  queueHandlersRef.current = {
+    onSubmitted: handleQueuedConsentSubmitted,
+    onDropped: handleQueuedConsentDropped
+  };
+
+  // Record or clear the error of one of the requests made on load
+  const setLoadError = (request, error) => {
+    setLoadErrors(prev => ({ ...prev, [request]: error }));
+  };
+
+  // Fetch configuration to get configId. Rejects with the client error.
+  // Nothing is stored once `isCancelled()` is true, see the load effect.
+  const fetchConfiguration = async (isCancelled = () => false) => {
+    try {
+      const data = await client.fetchConfiguration();
+      if (isCancelled()) {
+        return data.defaultConfigId;
+      }
+      setVendorGroups(extractGroups(data));
+      setConfigurationTexts(getConfigurationTexts(data));
+      setConfigurationDocuments(extractConsentDocuments(data));
+      setConfigId(data.defaultConfigId);
+      setLoadError('configuration', null);
+      return data.defaultConfigId;
+    } catch (error) {
+      if (!isCancelled()) {
+        setVendorGroups([]);
+        setConfigurationDocuments([]);
+        setLoadError('configuration', error);
+      }
+      throw error;
+    }
+  };
+
+  // Fetch vendors from API, same `isCancelled` as fetchConfiguration
+  const fetchVendors = async (isCancelled = () => false) => {
+    setVendorsLoading(true);
+    // Fallback to hardcoded vendors on error
+    const { vendorMap, error } = await loadVendorMap(client);
+    if (isCancelled()) {
+      return vendorMap;
+    }
+    setLoadError('vendors', error);
+    setApiVendors(vendorMap);
+    setVendors(setAllPreferences(vendorMap, false)); // Default to not accepted
+    setVendorsLoading(false);
+    return vendorMap;
+  };
+
+  // Fetch a new user token from the API, same `isCancelled` as fetchConfiguration
+  const fetchToken = async (isCancelled = () => false) => {
+    try {
+      const token = await client.fetchToken();
+      console.log('Fetched new token from API:', token);
+      if (!isCancelled()) {
+        setLoadError('token', null);
+      }
+      try {
+        await saveUserToken(projectId, environment, token);
+      } catch (storageError) {
+        console.error('Failed to save user token:', storageError);
+      }
+      return token;
+    } catch (error) {
+      console.error('Failed to fetch token:', error);
+      if (!isCancelled()) {
+        setLoadError('token', error);
+      }
+      throw error;
+    }
+  };
+
+  // Save the last consent record and add it to the history,
+  // storage failures must not fail the submission
+  const persistLastConsent = async (record) => {
+    try {
+      await saveLastConsent(projectId, environment, record);
+      await saveConsentHistoryEntry(projectId, environment, record);
+    } catch (error) {
+      console.error('Failed to save last consent:', error);
+    }
+  };
+
+  // Timeline of the current user's cookie consents: server history merged with
+  // the records kept on this device. A failed server read still returns the
+  // device records, with the error in `serverError`.
+  const getConsentHistory = async () => {
+    const token = lastConsentToken || currentUserToken;
+    const deviceRecords = (await loadConsentHistory(projectId, environment))
+      .filter(record => record.token === token);
+
+    let serverRecords = [];
+    let serverError = null;
+    if (token) {
+      try {
+        serverRecords = await client.getConsentHistory(token);
+      } catch (error) {
+        console.error('Failed to fetch consent history:', error);
+        serverError = error;
+      }
+    }
+
+    return { token, entries: buildConsentTimeline({ serverRecords, deviceRecords }), serverError };
+  };
+
+  // Copy of the current user's consent data (see ./consentExport): the server
+  // records of every collection, the records kept on this device and the
+  // client metadata. A collection that cannot be fully read from the server
+  // is reported in `errors` instead of failing the export.
+  const exportConsentData = async () => {
+    const tokens = [...new Set([currentUserToken, lastConsentToken].filter(Boolean))];
+    const belongsToUser = record => tokens.includes(record.token);
+
+    const history = (await loadConsentHistory(projectId, environment)).filter(belongsToUser);
+    const documents = Object.values(await loadCollectionConsents(projectId, environment)).filter(belongsToUser);
+    const queued = (await consentQueue.getQueue()).filter(item =>
+      item.projectId === projectId &&
+      item.environment === environment &&
+      tokens.includes(item.consent.token)
+    );
+
+    // Configurations to read the latest consent of, through the documented
+    // route: the cookie configuration and every consent document
+    const targets = [
+      ...(configId ? [{ collection: DEFAULT_COLLECTION, configId }] : []),
+      ...consentDocuments,
+      ...documents
+    ].filter((target, index, all) =>
+      all.findIndex(other => getDocumentKey(other) === getDocumentKey(target)) === index
+    );
+    const collections = [...new Set([DEFAULT_COLLECTION, ...targets.map(target => target.collection)])];
+    const serverRecords = {};
+    const serverErrors = [];
+    for (const collection of collections) {
+      const records = [];
+      const addRecord = record => {
+        const consentId = findConsentId(record);
+        if (!consentId || !records.some(existing => findConsentId(existing) === consentId)) {
+          records.push(record);
+        }
+      };
+      for (const token of tokens) {
+        // The history route is served by the mock server only, without it
+        // only the latest consent of each configuration can be exported
+        try {
+          (await client.getConsentHistory(token, collection)).forEach(addRecord);
+        } catch (error) {
+          console.error(`Failed to read the ${collection} consent history for the export:`, error);
+          serverErrors.push({
+            collection,
+            error: error instanceof NotFoundError
+              ? new NotFoundError(
+                'The API has no consent history, only the latest consent of each configuration is exported',
+                { status: error.status, endpoint: error.endpoint, cause: error }
+              )
+              : error
+          });
+        }
+        for (const target of targets.filter(target => target.collection === collection)) {
+          try {
+            const record = await client.getConsent(token, target.configId, collection);
+            if (record) {
+              addRecord(record);
+            }
+          } catch (error) {
+            console.error(`Failed to read the ${collection} consent of ${target.configId} for the export:`, error);
+            serverErrors.push({ collection, error });
+          }
+        }
+      }
+      serverRecords[collection] = records;
+    }
+
+    return buildConsentExport({
+      tokens,
+      client: {
+        projectId,
+        environment,
+        apiUrl: client.baseUrl,
+        configId,
+        language,
+        region: describeRegionForPayload(consentRegion)
+      },
+      serverRecords,
+      deviceRecords: { history, documents, queued },
+      serverErrors
+    });
+  };
+
+  // Save the consent of a processing or contract document, same rule as above
+  const persistCollectionConsent = async (record) => {
+    setCollectionConsents(prev => ({ ...prev, [getDocumentKey(record)]: record }));
+    try {
+      await saveCollectionConsent(projectId, environment, record);
+    } catch (error) {
+      console.error('Failed to save collection consent:', error);
+    }
+  };
+
+  // Forget the current user's account and consents, in state and on the device
+  const clearUserState = async () => {
+    setAccountId(null);
+    setLastConsentToken(null); // Clear last consent token since we have a new user
+    setLastConsentId(null);
+    setConsent(null);
+    setConsentStatus('Not Set');
+    setGoogleConsentMode(getDefaultConsentMode(consentModeMapping));
+    setTcString(null);
+    setConsentChanges(null);
+    setVendors(setAllPreferences(apiVendors, false));
+    gate.update(applyRegionDefault(configId, apiVendors), 'reset');
+    setCollectionConsents({});
+    await clearLastConsent(projectId, environment);
+    await clearCollectionConsents(projectId, environment);
+    await clearConsentHistory(projectId, environment);
+    await clearAccountId(projectId, environment);
+  };
+
+  // Start over as a new user: fetch a new token and forget every stored consent
+  const generateNewToken = async () => {
+    const newToken = await fetchToken();
+    setCurrentUserToken(newToken);
+    await clearUserState();
+    return newToken;
+  };
+
+  // Ask the API to delete every consent of the current user, then forget them
+  // on this device and start over with a new token like generateNewToken.
+  // Nothing is cleared when the erasure fails, so it can be retried.
+  // Resolves with { erasedTokens, deletedCount, token }; `token` is the new
+  // user token, null when it could not be fetched yet (the next submission
+  // fetches one).
+  const eraseConsentData = async () => {
+    const tokens = [...new Set([currentUserToken, lastConsentToken].filter(Boolean))];
+    let deletedCount = 0;
+    for (const token of tokens) {
+      const result = await client.eraseConsents(token);
+      deletedCount = deletedCount === null || result.deletedCount === null
+        ? null
+        : deletedCount + result.deletedCount;
+      // A queued consent would recreate a record once replayed. Dropped only
+      // once the API erased its token, so a failed erasure keeps it for later.
+      await consentQueue.discardToken({ projectId, environment, token });
+    }
+
+    return { erasedTokens: tokens, deletedCount, token: await resetToAnonymous() };
+  };
+
+  // Forget the user token, account and consents on this device, then fetch a
+  // new token. Resolves with it, or null when it could not be fetched yet (the
+  // next submission fetches one).
+  const resetToAnonymous = async () => {
+    setCurrentUserToken(null);
+    await clearUserToken(projectId, environment);
+    await clearUserState();
+    try {
+      const newToken = await fetchToken();
+      setCurrentUserToken(newToken);
+      return newToken;
+    } catch (error) {
+      console.error('Failed to fetch a new token:', error);
+      return null;
+    }
+  };
+
+  // Link the user token to an account of the app (e.g. on login) so the
+  // consent follows the user on every device, then merge the latest consent
+  // of the account with the one of this device: the latest one wins (see
+  // mergeAccountConsent). Resolves with { accountId, token, source }, `source`
+  // being 'server' when the account consent replaced the one of this device.
+  // Relies on the mock-only account routes (see client.linkAccount): against
+  // staging and production it rejects with a NotFoundError.
+  const identify = async (newAccountId) => {
+    if (!newAccountId) {
+      throw new ValidationError('identify() needs an account ID');
+    }
+    const currentConfigId = await ensureConfigId();
+    const tokenToUse = await ensureUserToken();
+
+    await client.linkAccount(tokenToUse, newAccountId);
+    setAccountId(newAccountId);
+    try {
+      await saveAccountId(projectId, environment, newAccountId);
+    } catch (error) {
+      console.error('Failed to save account:', error);
+    }
+
+    const serverRecord = await client.getAccountConsent(newAccountId, currentConfigId);
+    const { source, record } = mergeAccountConsent({ deviceRecord: consent, serverRecord, consentModeMapping });
+    if (source === 'server') {
+      console.log('Restored account consent:', record.consentId);
+      setLastConsentToken(record.token || tokenToUse);
+      setVendors(restoreVendorPreferences(apiVendors, record.vendors));
+      await applyConsentRecord(record);
+      reviewConsentChanges(record, currentConfigId, apiVendors);
+    }
+    return { accountId: newAccountId, token: tokenToUse, source };
+  };
+
+  // Log out: the consents stay linked to the account on the server and this
+  // device starts over as a new anonymous user. Resolves with the new token
+  // like resetToAnonymous.
+  const logout = async () => resetToAnonymous();
+
+  const value = {
+    client,
+    projectId,
+    environment,
+    isLoaded,
+    loadErrors,
+    language,
+    t,
+    // Last consent
+    consent,
+    hasConsent: consent !== null && !consent.implicit,
+    decisions,
+    isAllowed: (vendorId) => gate.isAllowed(vendorId),
+    onConsentChange: (listener) => gate.onConsentChange(listener),
+    consentStatus,
+    lastConsentId,
+    lastConsentToken,
+    currentUserToken,
+    configId,
+    googleConsentMode,
+    tcString,
+    // Region
+    consentRegion,
+    requiresConsent,
+    // First-layer banner
+    bannerVisible,
+    acceptAllConsent,
+    rejectAllConsent,
+    // Preference center
+    modalVisible,
+    openConsentModal,
+    closeConsentModal,
+    vendorsLoading,
+    apiVendors,
+    vendorSections,
+    vendors,
+    consentChanges,
+    toggleVendor,
+    toggleGroup,
+    acceptAll,
+    rejectAll,
+    submitConsent,
+    withdrawConsent,
+    // Processing and contract consents
+    consentDocuments,
+    collectionConsents,
+    activeDocument,
+    openDocument,
+    closeDocument,
+    submitDocumentConsent,
+    // History
+    getConsentHistory,
+    exportConsentData,
+    // User token
+    ensureConfigId,
+    generateNewToken,
+    eraseConsentData,
+    // Account
+    accountId,
+    identify,
+    logout
+  };
+
+  return (
+    <ConsentContext.Provider value={value}>
+      {children}
+    </ConsentContext.Provider>
+  );
+}
+
+// Full consent state and actions of the nearest AxeptioConsentProvider
+export const useConsent = () => {
+  const context = useContext(ConsentContext);
+  if (!context) {
+    throw new Error('useConsent must be used within AxeptioConsentProvider');
+  }
+  return context;
+};
+
+// Whether the last valid consent grants a vendor (by ID or name, e.g. 'google_analytics')
+export const useVendorConsent = (vendorId) => {
+  const { isAllowed } = useConsent();
+  return isAllowed(vendorId);
+};
+
+// First-layer banner state and its one-tap actions, for a custom banner
+export const useConsentBanner = () => {
+  const { bannerVisible, acceptAllConsent, rejectAllConsent, openConsentModal } = useConsent();
+  return {
+    isVisible: bannerVisible,
+    acceptAll: acceptAllConsent,
+    rejectAll: rejectAllConsent,
+    customize: openConsentModal
+  };
+};
+
+// Visibility of the preference center, to open it from any screen
+export const useConsentModal = () => {
+  const { modalVisible, openConsentModal, closeConsentModal } = useConsent();
+  return { isVisible: modalVisible, open: openConsentModal, close: closeConsentModal };
+};
@@ -0,0 +1,244 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { STORAGE_KEYS } from './config';
+import { DEFAULT_COLLECTION } from './AxeptioClient';
+import { AxeptioError, NetworkError } from './errors';
+
+// Retry policy for queued consents
+const DEFAULT_MAX_RETRIES = 8;
+const DEFAULT_BASE_DELAY = 2000; // 2s, 4s, 8s, ...
+const DEFAULT_MAX_DELAY = 5 * 60 * 1000;
+
+// Network failures, timeouts, rate limits and server errors are worth retrying,
+// other API errors (validation, auth, not found, ...) will fail the same way next time
+export const isRetryableError = (error) =>
+  error instanceof AxeptioError ? error.retryable : !error.status;
+
+// No response at all: the device is offline, however long it stays so
+const isOfflineError = (error) =>
+  error instanceof NetworkError || (!(error instanceof AxeptioError) && !error.status);
+
+// One queue entry per user token, collection and configuration: a newer choice replaces an unsent one
+const dedupeKey = (item) =>
+  `${item.environment}:${item.projectId}:${item.collection || DEFAULT_COLLECTION}:${item.configId}:${item.consent.token}`;
+
+const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Persistent queue of consent submissions that could not reach the API.
+// Entries are replayed with exponential backoff by process(). Only the API
+// answering with a retryable error (408, 429, 5xx) counts toward maxRetries:
+// an entry is never dropped because the device stayed offline.
+export class ConsentQueue {
+  constructor({
+    storageKey = STORAGE_KEYS.CONSENT_QUEUE,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelay = DEFAULT_BASE_DELAY,
+    maxDelay = DEFAULT_MAX_DELAY
+  } = {}) {
+    this.storageKey = storageKey;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.processing = null;
+  }
+
+  async getQueue() {
+    const stored = await AsyncStorage.getItem(this.storageKey);
+    if (!stored) {
+      return [];
+    }
+    try {
+      return JSON.parse(stored);
+    } catch {
+      return [];
+    }
+  }
+
+  async saveQueue(queue) {
+    if (queue.length === 0) {
+      await AsyncStorage.removeItem(this.storageKey);
+    } else {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(queue));
+    }
+  }
+
+  // Save an unsent consent, replacing any pending entry for the same token/collection/config
+  async enqueue({ projectId, environment, collection = DEFAULT_COLLECTION, configId, consent }) {
+    const item = {
+      id: generateId(),
+      projectId,
+      environment,
+      collection,
+      configId,
+      consent,
+      queuedAt: new Date().toISOString(),
+      retryCount: 0, // API failures, capped by maxRetries
+      attempts: 0, // Every failure, offline included, for the backoff
+      nextAttemptAt: Date.now()
+    };
+
+    const key = dedupeKey(item);
+    const queue = (await this.getQueue()).filter(queued => dedupeKey(queued) !== key);
+    queue.push(item);
+    await this.saveQueue(queue);
+    return item;
+  }
+
+  // Drop the pending entry superseded by a consent that reached the API directly
+  async discard({ projectId, environment, collection = DEFAULT_COLLECTION, configId, consent }) {
+    const key = dedupeKey({ projectId, environment, collection, configId, consent });
+    const queue = await this.getQueue();
+    const remaining = queue.filter(queued => dedupeKey(queued) !== key);
+    if (remaining.length !== queue.length) {
+      await this.saveQueue(remaining);
+    }
+  }
+
+  // Drop every pending entry of a user token, e.g. after its consents were erased
+  async discardToken({ projectId, environment, token }) {
+    const queue = await this.getQueue();
+    const remaining = queue.filter(queued =>
+      queued.projectId !== projectId ||
+      queued.environment !== environment ||
+      queued.consent.token !== token
+    );
+    if (remaining.length !== queue.length) {
+      await this.saveQueue(remaining);
+    }
+  }
+
+  // Delay after the given failed attempt (1 for the first one): baseDelay * 2^(attempt - 1),
+  // capped at maxDelay
+  getBackoffDelay(attempt) {
+    return Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+  }
+
+  // Replay the due entries that belong to the client's project and environment.
+  // `force` ignores the backoff delay (e.g. connectivity just came back).
+  // Concurrent calls share the same run.
+  process(client, { force = false } = {}) {
+    if (!this.processing) {
+      this.processing = this.processQueue(client, force).finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async processQueue(client, force) {
+    const belongsToClient = item =>
+      item.projectId === client.projectId && item.environment === client.environment;
+
+    const now = Date.now();
+    const due = (await this.getQueue()).filter(item =>
+      belongsToClient(item) && (force || item.nextAttemptAt <= now)
+    );
+    const submitted = [];
+    const dropped = [];
+    const removedIds = new Set();
+    const retried = {};
+
+    for (const item of due) {
+      try {
+        const { consentId } = await client.submitConsent(
+          item.configId,
+          item.consent,
+          item.collection || DEFAULT_COLLECTION
+        );
+        submitted.push({ ...item, consentId });
+        removedIds.add(item.id);
+      } catch (error) {
+        const offline = isOfflineError(error);
+        const retryCount = offline ? item.retryCount : item.retryCount + 1;
+        const attempts = (item.attempts ?? item.retryCount) + 1;
+        if (offline || (isRetryableError(error) && retryCount < this.maxRetries)) {
+          retried[item.id] = {
+            ...item,
+            retryCount,
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: Date.now() + this.getBackoffDelay(attempts)
+          };
+        } else {
+          console.warn('Dropping queued consent after failed submission:', item.id, error.message);
+          dropped.push({ ...item, lastError: error.message });
+          removedIds.add(item.id);
+        }
+      }
+    }
+
+    // Re-read the queue so entries enqueued while we were submitting are kept
+    const remaining = (await this.getQueue())
+      .filter(item => !removedIds.has(item.id))
+      .map(item => retried[item.id] || item);
+    await this.saveQueue(remaining);
+
+    const pending = remaining.filter(belongsToClient);
+    const nextAttemptAt = pending.length > 0
+      ? Math.min(...pending.map(item => item.nextAttemptAt))
+      : null;
+
+    return { submitted, dropped, pending: pending.length, nextAttemptAt };
+  }
+}
+
+// Replay the queue now, whenever connectivity returns or the app comes back to
+// the foreground, and when the next backoff delay expires (skipped while
+// NetInfo reports the device offline). onSubmitted(item) is called for each
+// entry that reached the API, onDropped(item) for each one given up on, with
+// the reason in `item.lastError`. Returns a stop function.
+export const startConsentQueueSync = (queue, client, { onSubmitted, onDropped } = {}) => {
+  let stopped = false;
+  let timer = null;
+
+  let wasConnected = null;
+
+  const run = async (options) => {
+    if (stopped) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = null;
+    // Reconnecting replays the queue with force
+    if (!options?.force && wasConnected === false) {
+      return;
+    }
+
+    try {
+      const { submitted, dropped, nextAttemptAt } = await queue.process(client, options);
+      if (stopped) {
+        return;
+      }
+      submitted.forEach(item => onSubmitted?.(item));
+      dropped.forEach(item => onDropped?.(item));
+      if (nextAttemptAt) {
+        timer = setTimeout(() => run(), Math.max(0, nextAttemptAt - Date.now()));
+      }
+    } catch (error) {
+      console.error('Failed to process consent queue:', error);
+    }
+  };
+
+  const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+    const reconnected = state.isConnected && wasConnected === false;
+    wasConnected = state.isConnected;
+    if (reconnected) {
+      run({ force: true });
+    }
+  });
+  const appStateSubscription = AppState.addEventListener('change', state => {
+    if (state === 'active') {
+      run({ force: true });
+    }
+  });
+
+  run();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+  };
+};
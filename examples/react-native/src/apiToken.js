@@ -0,0 +1,40 @@
+// API tokens are JWT bearer tokens (see docs/getting-started/authentication.md).
+// The client only reads their expiry: the signature is checked by the API.
+
+// Refresh the token through the provider this long before it expires
+export const TOKEN_REFRESH_MARGIN = 60 * 1000;
+
+// base64url -> UTF-8 string
+const decodeBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return decodeURIComponent(
+    Array.from(bytes, byte => `%${byte.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+};
+
+// Claims of a JWT, or null for an opaque or malformed token
+export const decodeJwtPayload = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(decodeBase64Url(parts[1]));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+// Expiry of a JWT (`exp` claim), or null when the token does not say
+export const getTokenExpiry = (token) => {
+  const exp = decodeJwtPayload(token)?.exp;
+  return typeof exp === 'number' ? new Date(exp * 1000) : null;
+};
+
+// Whether the token expires within `margin` ms. Tokens without expiry never do.
+export const isTokenExpiring = (token, margin = 0, now = new Date()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry.getTime() - now.getTime() <= margin;
+};
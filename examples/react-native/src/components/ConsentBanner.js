@@ -0,0 +1,96 @@
+import React, { useMemo } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import Modal from 'react-native-modal';
+import { ConsentButton } from './ConsentButton';
+import { fontStyle, useConsentTheme } from './theme';
+import { getModalAnimation, useInitialFocus, useLargeText, useReducedMotion } from './accessibility';
+
+// Bottom sheet of the consent UI with a title, a message and a row of
+// actions ({ key, title, onPress, variant, loading, disabled }), rendered as
+// ConsentButtons. It only presents: what the actions do is up to the host.
+// - renderContent({ title, message, theme }) replaces the title and message
+// - renderActions({ actions, theme }) replaces the buttons
+// Screen readers start on the title and stay inside the banner; the actions
+// are stacked with large text sizes and the slide is dropped when the
+// system asks to reduce motion. accessibilityViewIsModal only exists on iOS:
+// on Android the trap comes from react-native-modal rendering in its own
+// dialog window (coverScreen, the default), which TalkBack does not leave.
+export function ConsentBanner({
+  visible,
+  title,
+  message,
+  actions = [],
+  onBackdropPress,
+  theme: themeOverride,
+  style,
+  renderContent,
+  renderActions
+}) {
+  const theme = useConsentTheme(themeOverride);
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const reduceMotion = useReducedMotion();
+  const largeText = useLargeText();
+  const { ref: titleRef, onModalShow } = useInitialFocus();
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={onBackdropPress}
+      onModalShow={onModalShow}
+      {...getModalAnimation(reduceMotion)}
+      style={styles.modal}
+    >
+      <View style={[styles.sheet, style]} accessibilityViewIsModal>
+        {renderContent ? renderContent({ title, message, theme }) : (
+          <>
+            {!!title && <Text ref={titleRef} style={styles.title} accessibilityRole="header">{title}</Text>}
+            {!!message && <Text style={styles.message}>{message}</Text>}
+          </>
+        )}
+        {renderActions ? renderActions({ actions, theme }) : (
+          <View style={[styles.actions, largeText && styles.actionsStacked]}>
+            {actions.map(({ key, ...action }) => (
+              <ConsentButton key={key} {...action} theme={themeOverride} style={!largeText && styles.action} />
+            ))}
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  modal: {
+    justifyContent: 'flex-end',
+    margin: 0
+  },
+  sheet: {
+    backgroundColor: theme.colors.background,
+    borderTopLeftRadius: theme.radii.sheet,
+    borderTopRightRadius: theme.radii.sheet,
+    padding: 20,
+    paddingBottom: 30
+  },
+  title: {
+    fontSize: theme.fonts.sizes.title,
+    ...fontStyle(theme, 'bold'),
+    color: theme.colors.text,
+    marginBottom: 10
+  },
+  message: {
+    fontSize: theme.fonts.sizes.body,
+    ...fontStyle(theme),
+    color: theme.colors.textSecondary,
+    marginBottom: 20
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 10
+  },
+  actionsStacked: {
+    flexDirection: 'column'
+  },
+  action: {
+    flex: 1
+  }
+});
@@ -0,0 +1,84 @@
+import React, { useMemo } from 'react';
+import { ActivityIndicator, StyleSheet, Text, TouchableOpacity } from 'react-native';
+import { fontStyle, useConsentTheme } from './theme';
+
+// Button of the consent UI. `variant` is 'primary' (filled), 'secondary'
+// (outlined) or 'link' (text only). `renderContent({ title, loading, theme,
+// textStyle })` replaces the label, e.g. to add an icon; screen readers keep
+// reading `accessibilityLabel`, `title` by default.
+export function ConsentButton({
+  title,
+  onPress,
+  variant = 'primary',
+  loading = false,
+  disabled = false,
+  theme: themeOverride,
+  style,
+  textStyle,
+  accessibilityLabel,
+  accessibilityHint,
+  renderContent
+}) {
+  const theme = useConsentTheme(themeOverride);
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const labelStyle = [styles.text, styles[`${variant}Text`], textStyle];
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, styles[variant], (disabled || loading) && styles.disabled, style]}
+      onPress={onPress}
+      disabled={disabled || loading}
+      accessibilityRole="button"
+      accessibilityLabel={accessibilityLabel || title}
+      accessibilityHint={accessibilityHint}
+      accessibilityState={{ disabled: disabled || loading, busy: loading }}
+    >
+      {loading ? (
+        <ActivityIndicator color={variant === 'primary' ? theme.colors.onPrimary : theme.colors.primary} />
+      ) : renderContent ? (
+        renderContent({ title, loading, theme, textStyle: labelStyle })
+      ) : (
+        <Text style={labelStyle}>{title}</Text>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  button: {
+    minHeight: 44, // Touch target size of the platform guidelines
+    padding: 15,
+    borderRadius: theme.radii.button,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  primary: {
+    backgroundColor: theme.colors.primary
+  },
+  secondary: {
+    backgroundColor: theme.colors.background,
+    borderWidth: 1,
+    borderColor: theme.colors.border
+  },
+  link: {
+    padding: 8
+  },
+  disabled: {
+    opacity: 0.6
+  },
+  text: {
+    fontSize: theme.fonts.sizes.heading,
+    ...fontStyle(theme, '600')
+  },
+  primaryText: {
+    color: theme.colors.onPrimary
+  },
+  secondaryText: {
+    color: theme.colors.text
+  },
+  linkText: {
+    color: theme.colors.link,
+    fontSize: theme.fonts.sizes.body,
+    ...fontStyle(theme, '500')
+  }
+});
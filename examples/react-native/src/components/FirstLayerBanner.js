@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useConsent } from '../AxeptioConsentProvider';
+import { ConsentBanner } from './ConsentBanner';
+import { announce } from './accessibility';
+
+// First-layer banner of the nearest AxeptioConsentProvider, shown by itself
+// while an opt-in region has no valid consent (bannerVisible). Accept all and
+// Reject all submit with one tap, Customize opens the preference center. The
+// three actions share one variant so none is more prominent than the others.
+//
+// - onAccept / onReject: default to acceptAllConsent() / rejectAllConsent().
+//   The pressed button shows a spinner until it settles and screen readers
+//   announce the saved choice; errors go to onError.
+// - rejectTitle: e.g. 'Continue without accepting', defaults to Reject all
+// - variant: ConsentButton variant of the three actions
+// - busy: disables the actions, e.g. while the host app submits
+// - theme, style, renderContent, renderActions: see ConsentBanner
+export function FirstLayerBanner({
+  onAccept,
+  onReject,
+  onError = error => console.error('Failed to save consent:', error),
+  rejectTitle,
+  variant = 'primary',
+  busy = false,
+  theme,
+  style,
+  renderContent,
+  renderActions
+}) {
+  const {
+    t,
+    bannerVisible,
+    acceptAllConsent,
+    rejectAllConsent,
+    openConsentModal
+  } = useConsent();
+  const [pending, setPending] = useState(null); // Key of the action being submitted
+
+  const run = (key, action) => async () => {
+    setPending(key);
+    try {
+      await action();
+      announce(t('consentSaved'));
+    } catch (error) {
+      onError(error);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const disabled = busy || pending !== null;
+  const actions = [
+    {
+      key: 'accept',
+      title: t('acceptAll'),
+      onPress: run('accept', onAccept || acceptAllConsent),
+      loading: pending === 'accept'
+    },
+    {
+      key: 'reject',
+      title: rejectTitle || t('rejectAll'),
+      onPress: run('reject', onReject || rejectAllConsent),
+      loading: pending === 'reject'
+    },
+    {
+      key: 'customize',
+      title: t('customize'),
+      onPress: openConsentModal
+    }
+  ].map(action => ({ ...action, variant, disabled: disabled && !action.loading }));
+
+  return (
+    <ConsentBanner
+      visible={bannerVisible}
+      title={`🍪 ${t('privacyTitle')}`}
+      message={t('privacyDescription')}
+      actions={actions}
+      theme={theme}
+      style={style}
+      renderContent={renderContent}
+      renderActions={renderActions}
+    />
+  );
+}
@@ -0,0 +1,405 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { useConsent } from '../AxeptioConsentProvider';
+import { GROUP_STATES, OTHER_GROUP_ID, getGroupState } from '../purposeGroups';
+import { localizeText } from '../i18n';
+import { ConsentButton } from './ConsentButton';
+import { VendorRow } from './VendorRow';
+import { fontStyle, useConsentTheme } from './theme';
+import { announce, getModalAnimation, useInitialFocus, useReducedMotion } from './accessibility';
+
+// The preference center of the nearest AxeptioConsentProvider: a modal with
+// the vendors, grouped by purpose when the configuration has groups, and the
+// accept all / reject all / save actions. It opens and closes with the
+// provider's modalVisible (useConsentModal()).
+//
+// - onSave: called by the save button, defaults to submitConsent(false).
+//   The button shows a spinner until it settles; errors go to onError.
+// - busy: disables the actions, e.g. while the host app submits.
+// - getVendorDescription(vendor): defaults to the bundled or configuration texts.
+// - renderHeader({ title, description, onClose, disabled, theme })
+// - renderVendor({ vendorKey, vendor, description, enabled, onToggle, isNew, disabled, theme })
+// - renderGroupHeader({ section, title, groupState, acceptedCount, expanded,
+//   onToggleExpanded, onToggleGroup, disabled, theme })
+// - renderFooter({ onAcceptAll, onRejectAll, onSave, saving, disabled, theme })
+// Screen readers start on the title, stay inside the modal (on Android through
+// the modal's own window, see ConsentBanner) and hear when the choices are
+// saved; the escape gesture closes it.
+export function PreferenceCenter({
+  onSave,
+  onError = error => console.error('Failed to save consent:', error),
+  busy = false,
+  getVendorDescription,
+  theme: themeOverride,
+  renderHeader,
+  renderVendor,
+  renderGroupHeader,
+  renderFooter
+}) {
+  const {
+    t,
+    language,
+    modalVisible,
+    closeConsentModal,
+    vendorsLoading,
+    apiVendors,
+    vendorSections,
+    vendors,
+    consentChanges,
+    toggleVendor,
+    toggleGroup,
+    acceptAll,
+    rejectAll,
+    submitConsent
+  } = useConsent();
+  const theme = useConsentTheme(themeOverride);
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  const [saving, setSaving] = useState(false);
+  const [expandedGroups, setExpandedGroups] = useState(new Set());
+  const reduceMotion = useReducedMotion();
+  const { ref: titleRef, onModalShow } = useInitialFocus();
+
+  const disabled = busy || saving || vendorsLoading;
+  const newVendorKeys = consentChanges?.newVendorKeys || [];
+
+  // Vendor description in the UI language, bundled texts cover the hardcoded vendors
+  const describeVendor = getVendorDescription || ((vendor) => {
+    const bundledKey = `vendorDescriptions.${vendor.id}`;
+    const bundled = t(bundledKey);
+    if (bundled !== bundledKey) {
+      return bundled;
+    }
+    return localizeText(vendor.description, language) || t('noDescription');
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await (onSave ? onSave() : submitConsent(false));
+      announce(t('consentSaved'));
+    } catch (error) {
+      onError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const close = () => {
+    if (!busy && !saving) {
+      closeConsentModal();
+    }
+  };
+
+  // Collapse or expand a group section
+  const toggleGroupExpanded = (groupId) => {
+    setExpandedGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(groupId)) {
+        next.delete(groupId);
+      } else {
+        next.add(groupId);
+      }
+      return next;
+    });
+  };
+
+  const renderVendorItem = (vendorKey) => {
+    const vendor = apiVendors[vendorKey];
+    const props = {
+      vendorKey,
+      vendor,
+      description: describeVendor(vendor),
+      enabled: vendors[vendorKey] || false,
+      onToggle: () => toggleVendor(vendorKey),
+      isNew: newVendorKeys.includes(vendorKey),
+      disabled,
+      theme
+    };
+    if (renderVendor) {
+      return <React.Fragment key={vendorKey}>{renderVendor(props)}</React.Fragment>;
+    }
+    return <VendorRow key={vendorKey} {...props} newBadgeLabel={t('newBadge')} />;
+  };
+
+  // Collapsible purpose group with a group-level switch
+  const renderVendorGroup = (section) => {
+    const groupState = getGroupState(section, vendors);
+    const acceptedCount = section.vendorKeys.filter(key => vendors[key]).length;
+    const hasNewVendors = section.vendorKeys.some(key => newVendorKeys.includes(key));
+    const expanded = expandedGroups.has(section.id) || hasNewVendors;
+    const enabledCount = t('enabledCount', { accepted: acceptedCount, total: section.vendorKeys.length });
+    const headerProps = {
+      section,
+      title: section.id === OTHER_GROUP_ID ? t('otherServices') : section.title,
+      groupState,
+      acceptedCount,
+      expanded,
+      onToggleExpanded: () => toggleGroupExpanded(section.id),
+      onToggleGroup: () => toggleGroup(section),
+      disabled,
+      theme
+    };
+
+    return (
+      <View key={section.id} style={styles.groupSection}>
+        {renderGroupHeader ? renderGroupHeader(headerProps) : (
+          <>
+            <View style={styles.groupHeader}>
+              <TouchableOpacity
+                style={styles.groupTitleArea}
+                onPress={headerProps.onToggleExpanded}
+                accessibilityRole="button"
+                accessibilityLabel={`${headerProps.title}, ${enabledCount}`}
+                accessibilityState={{ expanded }}
+              >
+                <Text style={styles.groupTitle}>
+                  {expanded ? '▾' : '▸'} {headerProps.title}
+                </Text>
+                <Text style={styles.groupMeta}>
+                  {groupState === GROUP_STATES.PARTIAL ? `${t('partial')} · ` : ''}
+                  {enabledCount}
+                </Text>
+              </TouchableOpacity>
+              <Switch
+                value={groupState === GROUP_STATES.ACCEPTED}
+                onValueChange={headerProps.onToggleGroup}
+                accessibilityRole="switch"
+                accessibilityLabel={headerProps.title}
+                accessibilityHint={section.description || undefined}
+                accessibilityState={{
+                  checked: groupState === GROUP_STATES.PARTIAL ? 'mixed' : groupState === GROUP_STATES.ACCEPTED,
+                  disabled
+                }}
+                trackColor={{
+                  false: groupState === GROUP_STATES.PARTIAL ? theme.colors.switchTrackPartial : theme.colors.switchTrackOff,
+                  true: theme.colors.primary
+                }}
+                thumbColor={groupState === GROUP_STATES.REJECTED ? theme.colors.switchThumbOff : theme.colors.switchThumbOn}
+                disabled={disabled}
+              />
+            </View>
+            {!!section.description && (
+              <Text style={styles.groupDesc}>{section.description}</Text>
+            )}
+          </>
+        )}
+        {expanded && section.vendorKeys.map(renderVendorItem)}
+      </View>
+    );
+  };
+
+  const title = `🍪 ${t('privacyTitle')}`;
+  const description = t('privacyDescription');
+
+  return (
+    <Modal
+      isVisible={modalVisible}
+      onBackdropPress={close}
+      onBackButtonPress={close}
+      onModalShow={onModalShow}
+      {...getModalAnimation(reduceMotion)}
+    >
+      <View style={styles.sheet} accessibilityViewIsModal onAccessibilityEscape={close}>
+        {renderHeader ? renderHeader({ title, description, onClose: close, disabled: busy || saving, theme }) : (
+          <>
+            <View style={styles.header}>
+              <Text ref={titleRef} style={styles.title} accessibilityRole="header">{title}</Text>
+              <TouchableOpacity
+                onPress={close}
+                disabled={busy || saving}
+                accessibilityRole="button"
+                accessibilityLabel={t('close')}
+                accessibilityState={{ disabled: busy || saving }}
+                hitSlop={10}
+              >
+                <Text style={styles.closeButton}>✕</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.description}>{description}</Text>
+          </>
+        )}
+
+        {consentChanges && (
+          <Text style={styles.changesNotice} accessibilityLiveRegion="polite">
+            {newVendorKeys.length > 0
+              ? `🆕 ${t('newServicesNotice', { count: newVendorKeys.length })}`
+              : t('servicesChangedNotice')}
+          </Text>
+        )}
+
+        <ScrollView
+          style={styles.vendorList}
+          showsVerticalScrollIndicator={true}
+          contentContainerStyle={styles.vendorListContent}
+        >
+          {vendorsLoading ? (
+            <View style={styles.vendorLoading} accessible accessibilityLabel={t('loadingVendors')} accessibilityState={{ busy: true }}>
+              <ActivityIndicator size="large" color={theme.colors.primary} />
+              <Text style={styles.loadingText}>{t('loadingVendors')}</Text>
+            </View>
+          ) : (
+            vendorSections.length > 0
+              ? vendorSections.map(renderVendorGroup)
+              : Object.keys(apiVendors).map(renderVendorItem)
+          )}
+        </ScrollView>
+
+        {renderFooter ? renderFooter({
+          onAcceptAll: acceptAll,
+          onRejectAll: rejectAll,
+          onSave: handleSave,
+          saving,
+          disabled,
+          theme
+        }) : (
+          <>
+            <View style={styles.quickActions}>
+              <ConsentButton
+                variant="link"
+                title={`✓ ${t('acceptAll')}`}
+                accessibilityLabel={t('acceptAll')}
+                onPress={acceptAll}
+                disabled={disabled}
+                theme={themeOverride}
+              />
+              <ConsentButton
+                variant="link"
+                title={`✗ ${t('rejectAll')}`}
+                accessibilityLabel={t('rejectAll')}
+                onPress={rejectAll}
+                disabled={disabled}
+                theme={themeOverride}
+              />
+            </View>
+            <View style={styles.footer}>
+              <ConsentButton
+                title={t('saveChoices')}
+                onPress={handleSave}
+                loading={saving}
+                disabled={busy || vendorsLoading}
+                theme={themeOverride}
+              />
+            </View>
+          </>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  sheet: {
+    backgroundColor: theme.colors.background,
+    borderRadius: theme.radii.sheet,
+    maxHeight: '85%',
+    flex: 1,
+    marginVertical: 50
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border
+  },
+  title: {
+    fontSize: theme.fonts.sizes.title,
+    ...fontStyle(theme, 'bold'),
+    color: theme.colors.text
+  },
+  closeButton: {
+    fontSize: theme.fonts.sizes.title,
+    color: theme.colors.textSecondary,
+    padding: 5
+  },
+  description: {
+    fontSize: theme.fonts.sizes.body,
+    ...fontStyle(theme),
+    color: theme.colors.textSecondary,
+    paddingHorizontal: 20,
+    paddingVertical: 15
+  },
+  changesNotice: {
+    fontSize: theme.fonts.sizes.body,
+    ...fontStyle(theme),
+    color: theme.colors.text,
+    backgroundColor: theme.colors.highlight,
+    marginHorizontal: 20,
+    marginBottom: 10,
+    padding: 10,
+    borderRadius: theme.radii.card
+  },
+  vendorList: {
+    flex: 1,
+    marginBottom: 10
+  },
+  vendorListContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 10
+  },
+  vendorLoading: {
+    padding: 40,
+    alignItems: 'center',
+    justifyContent: 'center'
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: theme.fonts.sizes.body,
+    ...fontStyle(theme),
+    color: theme.colors.textSecondary
+  },
+  groupSection: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6
+  },
+  groupTitleArea: {
+    flex: 1,
+    marginRight: 10
+  },
+  groupTitle: {
+    fontSize: theme.fonts.sizes.heading,
+    ...fontStyle(theme, '600'),
+    color: theme.colors.text
+  },
+  groupMeta: {
+    fontSize: theme.fonts.sizes.small,
+    ...fontStyle(theme),
+    color: theme.colors.textSecondary,
+    marginTop: 2
+  },
+  groupDesc: {
+    fontSize: theme.fonts.sizes.small,
+    ...fontStyle(theme),
+    color: theme.colors.textMuted,
+    marginBottom: 4
+  },
+  quickActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 2,
+    paddingHorizontal: 20,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.divider
+  },
+  footer: {
+    padding: 20,
+    gap: 10
+  }
+});
@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react';
+import { Image, StyleSheet, Switch, Text, View } from 'react-native';
+import { fontStyle, useConsentTheme } from './theme';
+
+// Logo URL of a vendor from the /vendors response, null when it has none
+export const getVendorLogoUrl = (vendor) =>
+  vendor.image?.optimized?.small || vendor.image?.optimized?.medium || vendor.image?.fallbackUrl || null;
+
+// One vendor of the preference center: logo, name, description and switch.
+// Render props replace a part of the row and receive what the default
+// rendering uses:
+// - renderLogo({ vendor, uri, failed, onError, theme })
+// - renderInfo({ vendor, description, isNew, newBadgeLabel, theme })
+// - renderSwitch({ value, onValueChange, disabled, accessibilityLabel, theme })
+// Screen readers focus the switch only, labelled with the vendor name and
+// the description as hint; the logo and texts are hidden from them.
+export function VendorRow({
+  vendor,
+  description,
+  enabled,
+  onToggle,
+  disabled = false,
+  isNew = false,
+  newBadgeLabel = 'NEW',
+  theme: themeOverride,
+  style,
+  renderLogo,
+  renderInfo,
+  renderSwitch
+}) {
+  const theme = useConsentTheme(themeOverride);
+  const styles = useMemo(() => createStyles(theme), [theme]);
+  // Failed logos are replaced by the initial to avoid repeated attempts
+  const [logoFailed, setLogoFailed] = useState(false);
+  const uri = getVendorLogoUrl(vendor);
+  const onLogoError = () => setLogoFailed(true);
+  const accessibilityLabel = isNew ? `${vendor.name}, ${newBadgeLabel}` : vendor.name;
+  const hidden = { accessibilityElementsHidden: true, importantForAccessibility: 'no-hide-descendants' };
+
+  const renderDefaultLogo = () => {
+    if (!uri) {
+      return null;
+    }
+    if (logoFailed) {
+      return (
+        <View style={[styles.logo, styles.logoPlaceholder]} {...hidden}>
+          <Text style={styles.logoText}>{vendor.name.charAt(0).toUpperCase()}</Text>
+        </View>
+      );
+    }
+    return <Image source={{ uri }} style={styles.logo} onError={onLogoError} {...hidden} />;
+  };
+
+  return (
+    <View style={[styles.item, isNew && styles.itemNew, style]}>
+      <View style={styles.row}>
+        {renderLogo
+          ? renderLogo({ vendor, uri, failed: logoFailed, onError: onLogoError, theme })
+          : renderDefaultLogo()}
+        {renderInfo ? renderInfo({ vendor, description, isNew, newBadgeLabel, theme }) : (
+          <View style={styles.info} {...hidden}>
+            <Text style={styles.name}>
+              {vendor.name}
+              {isNew && <Text style={styles.newBadge}>  {newBadgeLabel}</Text>}
+            </Text>
+            {!!description && <Text style={styles.description}>{description}</Text>}
+          </View>
+        )}
+        {renderSwitch ? renderSwitch({ value: enabled, onValueChange: onToggle, disabled, accessibilityLabel, theme }) : (
+          <Switch
+            value={enabled}
+            onValueChange={onToggle}
+            accessibilityRole="switch"
+            accessibilityLabel={accessibilityLabel}
+            accessibilityHint={description || undefined}
+            accessibilityState={{ checked: enabled, disabled }}
+            trackColor={{ false: theme.colors.switchTrackOff, true: theme.colors.primary }}
+            thumbColor={enabled ? theme.colors.switchThumbOn : theme.colors.switchThumbOff}
+            disabled={disabled}
+          />
+        )}
+      </View>
+    </View>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  item: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider
+  },
+  itemNew: {
+    backgroundColor: theme.colors.highlight,
+    borderLeftWidth: 3,
+    borderLeftColor: theme.colors.primary,
+    paddingLeft: 8
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  logo: {
+    width: 32,
+    height: 32,
+    borderRadius: theme.radii.logo,
+    marginRight: 12,
+    backgroundColor: theme.colors.surface
+  },
+  logoPlaceholder: {
+    backgroundColor: theme.colors.placeholder,
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  logoText: {
+    fontSize: theme.fonts.sizes.body,
+    ...fontStyle(theme, 'bold'),
+    color: theme.colors.placeholderText
+  },
+  info: {
+    flex: 1,
+    marginRight: 10
+  },
+  name: {
+    fontSize: theme.fonts.sizes.heading,
+    ...fontStyle(theme, '500'),
+    color: theme.colors.text,
+    marginBottom: 2
+  },
+  newBadge: {
+    fontSize: theme.fonts.sizes.tiny,
+    ...fontStyle(theme, '700'),
+    color: theme.colors.primary
+  },
+  description: {
+    fontSize: theme.fonts.sizes.small,
+    ...fontStyle(theme),
+    color: theme.colors.textMuted
+  }
+});
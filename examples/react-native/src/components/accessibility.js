@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from 'react';
+import { AccessibilityInfo, findNodeHandle, useWindowDimensions } from 'react-native';
+
+// Accessibility helpers shared by the consent components
+
+// Above this font scale the banner actions are stacked so their labels fit
+export const LARGE_FONT_SCALE = 1.3;
+
+// Whether the user asked the system to reduce motion, kept up to date
+export const useReducedMotion = () => {
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    AccessibilityInfo.isReduceMotionEnabled()
+      .then(enabled => mounted && setReduceMotion(enabled))
+      .catch(() => {});
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+    return () => {
+      mounted = false;
+      subscription?.remove();
+    };
+  }, []);
+
+  return reduceMotion;
+};
+
+// react-native-modal animation props: a fade without duration when motion is reduced
+export const getModalAnimation = (reduceMotion) => {
+  if (!reduceMotion) {
+    return { animationIn: 'slideInUp', animationOut: 'slideOutDown' };
+  }
+  return {
+    animationIn: 'fadeIn',
+    animationOut: 'fadeOut',
+    animationInTiming: 1,
+    animationOutTiming: 1,
+    backdropTransitionInTiming: 1,
+    backdropTransitionOutTiming: 1
+  };
+};
+
+// Whether the user picked a large text size
+export const useLargeText = () => useWindowDimensions().fontScale >= LARGE_FONT_SCALE;
+
+// Ref to attach to the element that gets the screen reader focus when a
+// modal opens, e.g. its title. Pass the returned onModalShow to the modal.
+export const useInitialFocus = () => {
+  const ref = useRef(null);
+  const onModalShow = () => {
+    const node = ref.current && findNodeHandle(ref.current);
+    if (node) {
+      AccessibilityInfo.setAccessibilityFocus(node);
+    }
+  };
+  return { ref, onModalShow };
+};
+
+// Read a message out with the screen reader (VoiceOver, TalkBack)
+export const announce = (message) => {
+  if (message) {
+    AccessibilityInfo.announceForAccessibility(message);
+  }
+};
@@ -0,0 +1,125 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { useColorScheme } from 'react-native';
+
+// Theme of the consent components: colors, fonts, radii and dark mode.
+// Components take a partial theme in their `theme` prop, merged over the one
+// of the nearest ConsentThemeProvider and over the defaults below.
+
+export const LIGHT_COLORS = {
+  primary: '#32C832', // Save button, switches, new vendor highlight
+  onPrimary: '#ffffff', // Text on primary
+  background: '#ffffff', // Banner and preference center
+  surface: '#f5f5f5', // Vendor logo background
+  text: '#2c3e50',
+  textSecondary: '#7f8c8d',
+  textMuted: '#95a5a6',
+  border: '#e0e0e0',
+  divider: '#f0f0f0',
+  highlight: '#f0fbf0', // New vendors and change notice
+  link: '#3498db', // Accept all / Reject all
+  switchTrackOff: '#dddddd',
+  switchTrackPartial: '#a8e6a8', // Group with some vendors on
+  switchThumbOn: '#ffffff',
+  switchThumbOff: '#f4f3f4',
+  placeholder: '#e0e0e0', // Vendor logo that failed to load
+  placeholderText: '#666666'
+};
+
+export const DARK_COLORS = {
+  primary: '#32C832',
+  onPrimary: '#ffffff',
+  background: '#1c1c1e',
+  surface: '#2c2c2e',
+  text: '#f2f2f7',
+  textSecondary: '#aeaeb2',
+  textMuted: '#8e8e93',
+  border: '#3a3a3c',
+  divider: '#2c2c2e',
+  highlight: '#1f3a22',
+  link: '#64a8ff',
+  switchTrackOff: '#48484a',
+  switchTrackPartial: '#2f6b35',
+  switchThumbOn: '#ffffff',
+  switchThumbOff: '#d1d1d6',
+  placeholder: '#3a3a3c',
+  placeholderText: '#d1d1d6'
+};
+
+// `family`/`boldFamily` undefined use the system font
+export const DEFAULT_FONTS = {
+  family: undefined,
+  boldFamily: undefined,
+  sizes: {
+    title: 20,
+    heading: 16,
+    body: 14,
+    small: 12,
+    tiny: 11
+  }
+};
+
+export const DEFAULT_RADII = {
+  sheet: 16, // Banner and preference center
+  button: 8,
+  card: 8, // Notices
+  logo: 6
+};
+
+// Merge two partial themes, `override` first
+const mergeThemes = (base = {}, override = {}) => ({
+  ...base,
+  ...override,
+  colors: { ...base.colors, ...override.colors },
+  fonts: {
+    ...base.fonts,
+    ...override.fonts,
+    sizes: { ...base.fonts?.sizes, ...override.fonts?.sizes }
+  },
+  radii: { ...base.radii, ...override.radii }
+});
+
+// Full theme from a partial one ({ dark, colors, fonts, radii }). `dark`
+// picks the default colors the given ones are merged over.
+export const createConsentTheme = (theme = {}) => {
+  const { dark = false, colors, fonts, radii } = mergeThemes({}, theme);
+  return {
+    dark,
+    colors: { ...(dark ? DARK_COLORS : LIGHT_COLORS), ...colors },
+    fonts: { ...DEFAULT_FONTS, ...fonts, sizes: { ...DEFAULT_FONTS.sizes, ...fonts.sizes } },
+    radii: { ...DEFAULT_RADII, ...radii }
+  };
+};
+
+const ConsentThemeContext = createContext({});
+
+// Theme of every consent component inside. `dark: 'auto'` follows the
+// color scheme of the device.
+export function ConsentThemeProvider({ theme, children }) {
+  const parentTheme = useContext(ConsentThemeContext);
+  const value = useMemo(() => mergeThemes(parentTheme, theme), [parentTheme, theme]);
+  return (
+    <ConsentThemeContext.Provider value={value}>
+      {children}
+    </ConsentThemeContext.Provider>
+  );
+}
+
+// Full theme of a component: its `theme` prop over the provider theme
+export const useConsentTheme = (theme) => {
+  const contextTheme = useContext(ConsentThemeContext);
+  const colorScheme = useColorScheme();
+  return useMemo(() => {
+    const merged = mergeThemes(contextTheme, theme);
+    const dark = merged.dark === 'auto' ? colorScheme === 'dark' : Boolean(merged.dark);
+    return createConsentTheme({ ...merged, dark });
+  }, [contextTheme, theme, colorScheme]);
+};
+
+// Font family and weight of a text style. With a `boldFamily`, texts heavier
+// than normal use it instead of a synthetic weight.
+export const fontStyle = (theme, weight = 'normal') => {
+  if (weight !== 'normal' && theme.fonts.boldFamily) {
+    return { fontFamily: theme.fonts.boldFamily };
+  }
+  return { fontFamily: theme.fonts.family, fontWeight: weight };
+};
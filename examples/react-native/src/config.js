@@ -0,0 +1,95 @@
+// Environment Configuration
+export const ENVIRONMENTS = {
+  'local-dev': {
+    name: 'Local Dev',
+    url: 'http://localhost:3000/mobile'
+  },
+  'staging': {
+    name: 'Staging',
+    url: 'https://staging-api.axeptio.tech/mobile'
+  },
+  'production': {
+    name: 'Production',
+    url: 'https://headless-api.axeptio.tech/mobile'
+  }
+};
+
+// Default Configuration
+export const DEFAULT_PROJECT_ID = '67fcdb2b52ab9a99a5865f4d';
+export const DEFAULT_ENVIRONMENT = 'staging';
+
+// AsyncStorage Keys
+export const STORAGE_KEYS = {
+  PROJECT_ID: '@axeptio_project_id',
+  ENVIRONMENT: '@axeptio_environment',
+  USER_TOKEN: '@axeptio_user_token',
+  LAST_CONSENT: '@axeptio_last_consent',
+  CONSENT_QUEUE: '@axeptio_consent_queue',
+  COLLECTION_CONSENTS: '@axeptio_collection_consents',
+  CONSENT_HISTORY: '@axeptio_consent_history',
+  API_TOKEN: '@axeptio_api_token',
+  ACCOUNT_ID: '@axeptio_account_id'
+};
+
+// Scopes the API token must have according to /auth/me: read the project
+// configuration, collect and read consents
+export const REQUIRED_API_SCOPES = ['read_projects', 'manage_consents'];
+
+// Consent regime per region, first matching rule wins:
+// - 'opt-in': nothing is tracked until the user accepts (GDPR, LGPD, PIPEDA)
+// - 'opt-out': tracking is allowed until the user opts out ("Do Not Sell or
+//   Share My Personal Information", CCPA/CPRA and other US state laws)
+// - 'none': no consent banner, only for countries the host checked no law applies to
+// `countries` are ISO 3166-1 alpha-2 codes, '*' matches any resolved country.
+// Countries not listed get the strictest regime, like an unresolved region.
+export const CONSENT_REGION_RULES = [
+  {
+    id: 'eea',
+    law: 'GDPR',
+    regime: 'opt-in',
+    countries: [
+      'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+      'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+      'IS', 'LI', 'NO'
+    ]
+  },
+  { id: 'uk', law: 'UK GDPR', regime: 'opt-in', countries: ['GB'] },
+  { id: 'canada', law: 'PIPEDA', regime: 'opt-in', countries: ['CA'] },
+  { id: 'brazil', law: 'LGPD', regime: 'opt-in', countries: ['BR'] },
+  { id: 'us', law: 'CCPA/CPRA', regime: 'opt-out', countries: ['US'] },
+  { id: 'rest_of_world', law: null, regime: 'opt-in', countries: ['*'] }
+];
+
+// Rule applied when the region cannot be resolved: the strictest regime
+export const UNKNOWN_REGION_RULE = { id: 'unknown', law: null, regime: 'opt-in' };
+
+// Consent lifetime before the user is asked again (CNIL guidance: 13 months)
+export const CONSENT_LIFETIME_MONTHS = 13;
+
+// IAB TCF v2.2 settings: TC strings are generated once cmpId is set to the
+// CMP ID registered with IAB Europe. Left to null, the demo generates none.
+export const TCF_SETTINGS = {
+  cmpId: null,
+  cmpVersion: 1,
+  publisherCountryCode: 'FR',
+  vendorListUrl: null // null uses the bundled src/tcf/vendor-list.json
+};
+
+// Consent screens for collections other than cookies: `processing` (e.g. a newsletter)
+// and `contract` (e.g. terms of service). configId is the identifier of the matching
+// configuration in your Axeptio project. Documents listed in the configuration
+// response (`processings`, `contracts`) are added to these.
+export const CONSENT_DOCUMENTS = [
+  {
+    collection: 'processing',
+    configId: 'newsletter',
+    title: 'Newsletter',
+    description: 'We would like to send you product news and offers by email. You can unsubscribe at any time.'
+  },
+  {
+    collection: 'contract',
+    configId: 'terms_of_service',
+    title: 'Terms of Service',
+    description: 'Please read and accept our terms of service to use the app.'
+  }
+];
@@ -0,0 +1,54 @@
+import { findConsentId } from './AxeptioClient';
+import { createConsentFingerprint } from './consentFingerprint';
+import { getConsentDate } from './consentExpiration';
+import { DEFAULT_CONSENT_MODE_MAPPING, computeConsentMode } from './googleConsentMode';
+import { getVendorChoices } from './vendorGate';
+
+// Consent of a logged-in account: the consent read from the server for the
+// account is merged with the one kept on this device, the latest one wins
+
+// Device record (see buildConsentSubmission) for a consent read from the API
+export const toDeviceRecord = (serverRecord, consentModeMapping = DEFAULT_CONSENT_MODE_MAPPING) => {
+  const preferences = serverRecord.preferences || {};
+  const vendors = preferences.vendors || {};
+  const choices = getVendorChoices({ vendors });
+  const configId = preferences.config?.identifier || serverRecord.configId || null;
+  const date = getConsentDate(serverRecord);
+  return {
+    token: serverRecord.token || null,
+    consentId: findConsentId(serverRecord) || 'saved',
+    configId,
+    acceptAll: choices.length > 0 && choices.every(choice => choice.accepted),
+    withdrawn: serverRecord.withdrawn === true,
+    vendors,
+    purposes: preferences.purposes || {},
+    googleConsentMode: serverRecord.googleConsentMode || computeConsentMode({ vendors: choices }, consentModeMapping),
+    tcString: serverRecord.tcString || null,
+    fingerprint: createConsentFingerprint({ configId, vendorIds: choices.map(choice => choice.id) }),
+    region: preferences.region || null,
+    createdAt: date ? date.toISOString() : null
+  };
+};
+
+// Merge rule between the consent of this device and the latest consent of the
+// account on the server: the latest one wins. An implicit (region default)
+// consent or one without date never wins over a real one, and the device
+// consent wins a tie. Returns { source: 'device' | 'server' | null, record }
+// with the server consent converted to a device record.
+export const mergeAccountConsent = ({ deviceRecord, serverRecord, consentModeMapping }) => {
+  const device = deviceRecord && !deviceRecord.implicit ? deviceRecord : null;
+  const server = serverRecord ? toDeviceRecord(serverRecord, consentModeMapping) : null;
+
+  if (!server) {
+    return { source: device ? 'device' : null, record: device };
+  }
+  if (!device || (server.consentId !== 'saved' && server.consentId === device.consentId)) {
+    return { source: device ? 'device' : 'server', record: device || server };
+  }
+
+  const deviceTime = getConsentDate(device)?.getTime() ?? -Infinity;
+  const serverTime = getConsentDate(server)?.getTime() ?? -Infinity;
+  return serverTime > deviceTime
+    ? { source: 'server', record: server }
+    : { source: 'device', record: device };
+};
@@ -0,0 +1,40 @@
+import { localizeText } from './i18n';
+
+// Consent screens outside of the cookie banner: processing consents (newsletter,
+// profiling, ...) and contracts (terms of service). Each one is a single
+// accept/decline choice stored in its own collection.
+
+// Configuration fields listing documents, and the collection they are stored in
+const CONFIGURATION_COLLECTIONS = {
+  processings: 'processing',
+  contracts: 'contract'
+};
+
+// Key of a document in the stored collection consents
+export const getDocumentKey = (document) => `${document.collection}/${document.configId}`;
+
+// Documents declared by the configuration ({ processings: [...], contracts: [...] })
+export const extractConsentDocuments = (configuration) =>
+  Object.entries(CONFIGURATION_COLLECTIONS).flatMap(([field, collection]) =>
+    (Array.isArray(configuration?.[field]) ? configuration[field] : [])
+      .filter(entry => entry.identifier || entry.id)
+      .map(entry => ({
+        collection,
+        configId: entry.identifier || entry.id,
+        title: entry.title || entry.name || entry.identifier || entry.id,
+        description: entry.description || entry.text || ''
+      }))
+  );
+
+// App documents plus configured ones, localized for the UI language.
+// A configured document replaces the app document with the same key.
+export const mergeConsentDocuments = (appDocuments, configuredDocuments, language) => {
+  const byKey = new Map(
+    [...appDocuments, ...configuredDocuments].map(document => [getDocumentKey(document), document])
+  );
+  return [...byKey.values()].map(document => ({
+    ...document,
+    title: localizeText(document.title, language) || document.configId,
+    description: localizeText(document.description, language) || ''
+  }));
+};
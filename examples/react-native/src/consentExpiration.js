@@ -0,0 +1,31 @@
+import { CONSENT_LIFETIME_MONTHS } from './config';
+
+// Date the consent was given: local records use createdAt, API reads may use timestamp
+export const getConsentDate = (consent) => {
+  const value = consent?.createdAt || consent?.timestamp;
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Date after which the consent must be asked again, or null if the consent date is unknown
+export const getConsentExpiry = (consent, lifetimeMonths = CONSENT_LIFETIME_MONTHS) => {
+  const consentDate = getConsentDate(consent);
+  if (!consentDate) {
+    return null;
+  }
+  const expiry = new Date(consentDate.getTime());
+  expiry.setMonth(expiry.getMonth() + lifetimeMonths);
+  return expiry;
+};
+
+// A consent without a readable date is treated as expired so the user is asked again
+export const isConsentExpired = (
+  consent,
+  { lifetimeMonths = CONSENT_LIFETIME_MONTHS, now = new Date() } = {}
+) => {
+  const expiry = getConsentExpiry(consent, lifetimeMonths);
+  return !expiry || expiry.getTime() <= now.getTime();
+};
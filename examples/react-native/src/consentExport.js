@@ -0,0 +1,195 @@
+import { Platform, Share } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { DEFAULT_COLLECTION, findConsentId } from './AxeptioClient';
+import { getConsentDate } from './consentExpiration';
+import { getVendorChoices } from './vendorGate';
+
+// Copy of a user's consent data for a data access request (GDPR Article 15):
+// the consent records kept on the server and on this device, the vendor list
+// shown for each of them and the client metadata, as a JSON document and a
+// readable text document to pass to the share sheet
+
+export const CONSENT_EXPORT_FORMAT = 'axeptio-consent-export';
+export const CONSENT_EXPORT_VERSION = 2;
+
+const SHARE_TITLE = 'Consent data export';
+
+// Common summary of a server record, a device record ({ vendors } for cookies,
+// { accepted } for processing/contract documents) and a queued submission
+const summarizeRecord = (record, source, collection) => {
+  const body = source === 'queue' ? record.consent : record;
+  const choices = getVendorChoices({ vendors: source === 'device' ? body.vendors : body.preferences?.vendors });
+  const names = new Map(choices.map(choice => [String(choice.id), choice.name]));
+  // Device records keep the fingerprint of the vendor list shown, including
+  // vendors added to the list but never answered
+  const shownIds = record.fingerprint?.vendorIds || choices.map(choice => choice.id);
+  const date = source === 'queue' ? new Date(record.queuedAt) : getConsentDate(record);
+
+  return {
+    sources: [source],
+    collection: record.collection || collection || DEFAULT_COLLECTION,
+    consentId: source === 'server' ? findConsentId(record) : record.consentId || null,
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    configId: record.configId || body.preferences?.config?.identifier || null,
+    accepted: typeof body.accepted === 'boolean' ? body.accepted : body.accept !== false && body.withdrawn !== true,
+    withdrawn: body.withdrawn === true,
+    pending: source === 'queue' || record.pending === true,
+    vendorsShown: shownIds.map(id => ({ id: String(id), name: names.get(String(id)) || null })),
+    acceptedVendors: choices.filter(choice => choice.accepted).map(choice => choice.name || choice.id)
+  };
+};
+
+// Gather a user's consent data into one export document.
+// - tokens: user tokens the records belong to, the current one first
+// - client: metadata of the app (project, environment, language, region, ...)
+// - serverRecords: { [collection]: records } read from the API
+// - deviceRecords: { history, documents, queued } kept on this device
+// - serverErrors: [{ collection, error }] for the collections that could not be read
+// Each record is kept as stored and summarized, oldest first, in `consents`.
+// A device record synced to the server is summarized once, with both sources.
+export const buildConsentExport = ({
+  tokens,
+  client = {},
+  serverRecords = {},
+  deviceRecords = {},
+  serverErrors = [],
+  exportedAt = new Date()
+}) => {
+  const { history = [], documents = [], queued = [] } = deviceRecords;
+  const consents = Object.entries(serverRecords).flatMap(([collection, records]) =>
+    records.map(record => summarizeRecord(record, 'server', collection))
+  );
+
+  [...history, ...documents].forEach(record => {
+    const consent = summarizeRecord(record, 'device');
+    const serverConsent = consent.consentId && consent.consentId !== 'saved' &&
+      consents.find(existing => existing.sources.includes('server') && existing.consentId === consent.consentId);
+    if (serverConsent) {
+      serverConsent.sources.push('device');
+    } else {
+      consents.push(consent);
+    }
+  });
+  consents.push(...queued.map(record => summarizeRecord(record, 'queue')));
+  const time = consent => (consent.date ? new Date(consent.date).getTime() : 0);
+  consents.sort((a, b) => time(a) - time(b));
+
+  return {
+    format: CONSENT_EXPORT_FORMAT,
+    version: CONSENT_EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    user: {
+      token: tokens[0] || null,
+      tokens
+    },
+    client: {
+      platform: Platform.OS,
+      osVersion: String(Platform.Version),
+      ...client
+    },
+    consents,
+    records: {
+      server: serverRecords,
+      device: { history, documents, queued }
+    },
+    errors: serverErrors.map(({ collection, error }) => ({
+      collection,
+      message: error.message,
+      status: error.status ?? null
+    }))
+  };
+};
+
+const describeDecision = (consent) => {
+  if (consent.withdrawn) {
+    return 'Withdrawn';
+  }
+  return consent.accepted ? 'Accepted' : 'Refused';
+};
+
+const SOURCE_LABELS = {
+  server: 'Axeptio servers',
+  device: 'this device',
+  queue: 'this device, not sent yet'
+};
+
+// Readable version of an export for the user
+export const formatConsentExportText = (consentExport) => {
+  const { client, user, consents, errors } = consentExport;
+  const region = client.region;
+  const lines = [
+    SHARE_TITLE,
+    '='.repeat(SHARE_TITLE.length),
+    '',
+    `Exported on: ${consentExport.exportedAt}`,
+    `User token: ${user.token || 'none'}`,
+    ...(user.tokens.length > 1 ? [`Other tokens: ${user.tokens.slice(1).join(', ')}`] : []),
+    `Project: ${client.projectId || 'unknown'} (${client.environment || 'unknown'} environment)`,
+    `Device: ${client.platform} ${client.osVersion}`,
+    ...(client.language ? [`Language: ${client.language}`] : []),
+    ...(region ? [`Region: ${region.countryCode || 'unknown'} (${[region.law, region.regime].filter(Boolean).join(', ')})`] : []),
+    '',
+    `Consent records (${consents.length})`,
+    '-'.repeat(`Consent records (${consents.length})`.length)
+  ];
+
+  if (consents.length === 0) {
+    lines.push('No consent is recorded for this user.');
+  }
+  consents.forEach((consent, index) => {
+    lines.push(
+      '',
+      `${index + 1}. ${consent.date || 'Unknown date'} - ${consent.collection} / ${consent.configId || 'unknown configuration'}`,
+      `   Stored on: ${consent.sources.map(source => SOURCE_LABELS[source]).join(' and ')}${consent.pending && !consent.sources.includes('queue') ? ' (waiting to be sent)' : ''}`,
+      `   Consent ID: ${consent.consentId || 'none'}`,
+      `   Decision: ${describeDecision(consent)}`
+    );
+    if (consent.vendorsShown.length > 0) {
+      lines.push(
+        `   Vendors shown: ${consent.vendorsShown.map(vendor => vendor.name || vendor.id).join(', ')}`,
+        `   Vendors accepted: ${consent.acceptedVendors.join(', ') || 'none'}`
+      );
+    }
+  });
+
+  if (errors.length > 0) {
+    lines.push('', 'Incomplete export', '-----------------');
+    errors.forEach(error => {
+      lines.push(`The ${error.collection} records could not be read from the server: ${error.message}`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Write the export to a JSON and a text file in the cache directory and open
+// the share sheet with one of them (`format` 'json' or 'text'). Where files
+// cannot be shared (e.g. on the web) the text is shared as a message.
+// Resolves with the URIs of both files.
+export const shareConsentExport = async (consentExport, { format = 'json' } = {}) => {
+  const baseName = `consent-export-${consentExport.exportedAt.replace(/[:.]/g, '-')}`;
+  const jsonFile = new File(Paths.cache, `${baseName}.json`);
+  const textFile = new File(Paths.cache, `${baseName}.txt`);
+  const text = formatConsentExportText(consentExport);
+
+  jsonFile.create({ overwrite: true });
+  jsonFile.write(JSON.stringify(consentExport, null, 2));
+  textFile.create({ overwrite: true });
+  textFile.write(text);
+
+  if (await Sharing.isAvailableAsync()) {
+    const shared = format === 'text'
+      ? { file: textFile, mimeType: 'text/plain', UTI: 'public.plain-text' }
+      : { file: jsonFile, mimeType: 'application/json', UTI: 'public.json' };
+    await Sharing.shareAsync(shared.file.uri, {
+      mimeType: shared.mimeType,
+      UTI: shared.UTI,
+      dialogTitle: SHARE_TITLE
+    });
+  } else {
+    await Share.share({ title: SHARE_TITLE, message: text });
+  }
+
+  return { jsonUri: jsonFile.uri, textUri: textFile.uri };
+};
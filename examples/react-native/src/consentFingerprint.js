@@ -0,0 +1,52 @@
+// Fingerprint of the configuration and vendor set a consent was given for,
+// used to detect when the user has to be asked again
+
+// Small non-cryptographic string hash (djb2), enough to compare two vendor sets
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+// Build the fingerprint stored with each consent
+export const createConsentFingerprint = ({ configId, vendorIds }) => {
+  const sortedVendorIds = [...new Set(vendorIds.map(String))].sort();
+  return {
+    configId: configId || null,
+    vendorIds: sortedVendorIds,
+    hash: hashString(JSON.stringify([configId || null, sortedVendorIds]))
+  };
+};
+
+// Vendors added to or removed from the list since the previous fingerprint
+export const diffVendorIds = (previousIds, currentIds) => {
+  const previous = new Set(previousIds);
+  const current = new Set(currentIds);
+  return {
+    added: [...current].filter(id => !previous.has(id)),
+    removed: [...previous].filter(id => !current.has(id))
+  };
+};
+
+// Compare the fingerprint of a stored consent with the current configuration.
+// Consents stored before fingerprints existed are not reported as changed.
+export const detectConsentChanges = (previousFingerprint, currentFingerprint) => {
+  if (!previousFingerprint || previousFingerprint.hash === currentFingerprint.hash) {
+    return { changed: false, configChanged: false, added: [], removed: [] };
+  }
+
+  const configChanged = previousFingerprint.configId !== currentFingerprint.configId;
+  const { added, removed } = diffVendorIds(
+    previousFingerprint.vendorIds || [],
+    currentFingerprint.vendorIds
+  );
+
+  return {
+    changed: configChanged || added.length > 0 || removed.length > 0,
+    configChanged,
+    added,
+    removed
+  };
+};
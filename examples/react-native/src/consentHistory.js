@@ -0,0 +1,71 @@
+import { findConsentId } from './AxeptioClient';
+import { getConsentDate } from './consentExpiration';
+import { normalizeId } from './googleConsentMode';
+import { diffGrantedVendors, getVendorChoices } from './vendorGate';
+
+// Consent timeline of a user: the records stored on the server and on this
+// device, merged, in chronological order, each with its difference from the
+// previous record
+
+// Common shape of a server record (preferences.vendors) and a device record (vendors)
+const toTimelineEntry = (record, source) => {
+  const isServerRecord = source === 'server';
+  const choices = getVendorChoices({
+    vendors: isServerRecord ? record.preferences?.vendors : record.vendors
+  });
+  const date = getConsentDate(record);
+  return {
+    consentId: isServerRecord ? findConsentId(record) : record.consentId || null,
+    date: date ? date.toISOString() : null,
+    configId: (isServerRecord ? record.preferences?.config?.identifier : record.configId) || null,
+    accepted: record.accept !== false,
+    choices,
+    pending: !isServerRecord && record.pending === true,
+    sources: [source]
+  };
+};
+
+// Merge server and device records into a timeline, oldest first.
+// A device record synced to the server appears once, with both sources.
+export const buildConsentTimeline = ({ serverRecords = [], deviceRecords = [] }) => {
+  const entries = serverRecords.map(record => toTimelineEntry(record, 'server'));
+
+  deviceRecords.forEach(record => {
+    const entry = toTimelineEntry(record, 'device');
+    const serverEntry = entry.consentId && entry.consentId !== 'saved' &&
+      entries.find(existing => existing.consentId === entry.consentId);
+    if (serverEntry) {
+      serverEntry.sources.push('device');
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  const time = entry => (entry.date ? new Date(entry.date).getTime() : 0);
+  entries.sort((a, b) => time(a) - time(b));
+
+  let previousGranted = new Set();
+  let previousNames = new Map();
+  let previousConfigId = null;
+  return entries.map((entry, index) => {
+    const granted = new Set(
+      entry.choices.filter(choice => choice.accepted).map(choice => normalizeId(choice.id))
+    );
+    const changes = diffGrantedVendors(previousGranted, granted);
+    const names = new Map(entry.choices.map(choice => [normalizeId(choice.id), choice.name || choice.id]));
+    const timelineEntry = {
+      ...entry,
+      acceptedVendors: entry.choices.filter(choice => choice.accepted).map(choice => choice.name || choice.id),
+      // The first record has nothing to compare with
+      diff: index === 0 ? null : {
+        granted: changes.granted.map(id => names.get(id) || id),
+        revoked: changes.revoked.map(id => previousNames.get(id) || id),
+        configChanged: entry.configId !== previousConfigId
+      }
+    };
+    previousGranted = granted;
+    previousConfigId = entry.configId;
+    previousNames = names;
+    return timelineEntry;
+  });
+};
@@ -0,0 +1,107 @@
+import { TCF_SETTINGS } from './config';
+import { DEFAULT_CONSENT_MODE_MAPPING, computeConsentMode } from './googleConsentMode';
+import { createConsentFingerprint } from './consentFingerprint';
+import { GROUP_STATES, getGroupChoices } from './purposeGroups';
+import { createTCString } from './tcf/globalVendorList';
+import { getVendorPayloadKey } from './vendors';
+
+// Body sent to POST /consents and the record kept on the device for one
+// choice made in the preference center
+
+// Fingerprint of the configuration and vendor list shown to the user
+export const buildFingerprint = (configId, vendorMap) =>
+  createConsentFingerprint({ configId, vendorIds: Object.values(vendorMap).map(vendor => vendor.id) });
+
+// Build the consent for the switch states `preferences` of the vendors in
+// `vendorMap` (every vendor accepted with `acceptAll`). `region` is the
+// regime that applied (describeRegionForPayload), recorded in
+// `preferences.region`. `withdrawn` builds the withdrawal of every consent:
+// all vendors refused and `accept: false`. `consentModeMapping` tells which
+// vendors and purposes grant each Google Consent Mode signal (see
+// DEFAULT_CONSENT_MODE_MAPPING). Returns the request body as `payload` and the
+// device record as `record`.
+export const buildConsentSubmission = ({
+  configId,
+  token,
+  language,
+  vendorMap,
+  preferences = {},
+  acceptAll = false,
+  vendorSections = [],
+  globalVendorList = null,
+  region = null,
+  withdrawn = false,
+  consentModeMapping = DEFAULT_CONSENT_MODE_MAPPING,
+  createdAt = new Date()
+}) => {
+  // Build vendor preferences dynamically
+  const vendorPreferences = {};
+  const vendorSelections = [];
+  const selectedPreferences = {};
+  Object.keys(vendorMap).forEach(vendorKey => {
+    const vendor = vendorMap[vendorKey];
+    const accepted = !withdrawn && (acceptAll || preferences[vendorKey] || false);
+    vendorPreferences[getVendorPayloadKey(vendor)] = accepted;
+    selectedPreferences[vendorKey] = accepted;
+    vendorSelections.push({ id: vendor.id || vendorKey, name: vendor.name, accepted });
+  });
+
+  // Record the choice made for each purpose group
+  const purposeChoices = getGroupChoices(vendorSections, selectedPreferences);
+
+  // Derive Google Consent Mode v2 signals from the actual choices
+  const consentMode = computeConsentMode({
+    vendors: vendorSelections,
+    purposes: Object.keys(purposeChoices).reduce((acc, groupId) => ({
+      ...acc,
+      [groupId]: purposeChoices[groupId] === GROUP_STATES.ACCEPTED
+    }), {})
+  }, consentModeMapping);
+
+  // Encode the choices as an IAB TCF v2.2 TC string for ad partners
+  let tcString = null;
+  if (TCF_SETTINGS.cmpId && globalVendorList) {
+    try {
+      tcString = createTCString({
+        gvl: globalVendorList,
+        vendorSelections,
+        language,
+        settings: TCF_SETTINGS
+      });
+    } catch (error) {
+      console.error('Failed to create TC string:', error);
+    }
+  }
+
+  const payload = {
+    accept: !withdrawn,
+    preferences: {
+      config: {
+        language,
+        identifier: configId
+      },
+      vendors: vendorPreferences,
+      purposes: purposeChoices,
+      ...(region && { region })
+    },
+    googleConsentMode: consentMode,
+    token,
+    ...(withdrawn && { withdrawn })
+  };
+
+  const record = {
+    token,
+    configId,
+    acceptAll: acceptAll && !withdrawn,
+    withdrawn,
+    vendors: vendorPreferences,
+    purposes: purposeChoices,
+    googleConsentMode: consentMode,
+    tcString,
+    fingerprint: buildFingerprint(configId, vendorMap),
+    region,
+    createdAt: createdAt.toISOString()
+  };
+
+  return { payload, record };
+};
@@ -0,0 +1,130 @@
+import { getCalendars, getLocales } from 'expo-localization';
+import { CONSENT_REGION_RULES, UNKNOWN_REGION_RULE } from './config';
+
+// Region of the user and the consent regime that applies there
+// (CONSENT_REGION_RULES in ./config)
+
+export const CONSENT_REGIMES = {
+  OPT_IN: 'opt-in',
+  OPT_OUT: 'opt-out',
+  NONE: 'none'
+};
+
+// Country of the time zones of the regions with rules. The time zone follows
+// where the device is, while the locale region is a language preference.
+const TIME_ZONE_COUNTRIES = {
+  'Europe/Amsterdam': 'NL',
+  'Europe/Athens': 'GR',
+  'Europe/Berlin': 'DE',
+  'Europe/Bratislava': 'SK',
+  'Europe/Brussels': 'BE',
+  'Europe/Bucharest': 'RO',
+  'Europe/Budapest': 'HU',
+  'Europe/Busingen': 'DE',
+  'Europe/Copenhagen': 'DK',
+  'Europe/Dublin': 'IE',
+  'Europe/Helsinki': 'FI',
+  'Europe/Lisbon': 'PT',
+  'Europe/Ljubljana': 'SI',
+  'Europe/Luxembourg': 'LU',
+  'Europe/Madrid': 'ES',
+  'Europe/Malta': 'MT',
+  'Europe/Mariehamn': 'FI',
+  'Europe/Nicosia': 'CY',
+  'Europe/Oslo': 'NO',
+  'Europe/Paris': 'FR',
+  'Europe/Prague': 'CZ',
+  'Europe/Riga': 'LV',
+  'Europe/Rome': 'IT',
+  'Europe/Sofia': 'BG',
+  'Europe/Stockholm': 'SE',
+  'Europe/Tallinn': 'EE',
+  'Europe/Vaduz': 'LI',
+  'Europe/Vienna': 'AT',
+  'Europe/Vilnius': 'LT',
+  'Europe/Warsaw': 'PL',
+  'Europe/Zagreb': 'HR',
+  'Europe/London': 'GB',
+  'Asia/Nicosia': 'CY',
+  'Africa/Ceuta': 'ES',
+  'Atlantic/Azores': 'PT',
+  'Atlantic/Canary': 'ES',
+  'Atlantic/Madeira': 'PT',
+  'Atlantic/Reykjavik': 'IS',
+  'America/New_York': 'US',
+  'America/Detroit': 'US',
+  'America/Indiana/Indianapolis': 'US',
+  'America/Kentucky/Louisville': 'US',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Boise': 'US',
+  'America/Phoenix': 'US',
+  'America/Los_Angeles': 'US',
+  'America/Anchorage': 'US',
+  'Pacific/Honolulu': 'US',
+  'America/Toronto': 'CA',
+  'America/Vancouver': 'CA',
+  'America/Edmonton': 'CA',
+  'America/Winnipeg': 'CA',
+  'America/Regina': 'CA',
+  'America/Halifax': 'CA',
+  'America/St_Johns': 'CA',
+  'America/Sao_Paulo': 'BR',
+  'America/Bahia': 'BR',
+  'America/Fortaleza': 'BR',
+  'America/Recife': 'BR',
+  'America/Belem': 'BR',
+  'America/Manaus': 'BR'
+};
+
+const normalizeCountryCode = (value) =>
+  typeof value === 'string' && /^[a-z]{2}$/i.test(value.trim()) ? value.trim().toUpperCase() : null;
+
+// Time zone and locale region of the device
+export const getDeviceRegionHints = () => {
+  try {
+    return {
+      timeZone: getCalendars()[0]?.timeZone || null,
+      localeRegion: getLocales().map(locale => locale.regionCode).find(Boolean) || null
+    };
+  } catch {
+    return { timeZone: null, localeRegion: null };
+  }
+};
+
+// Country of the user: the one the app passes in (e.g. from IP geolocation on
+// its server), else the device time zone, else the locale region.
+// Returns { countryCode, source } with source 'app', 'timeZone', 'locale' or null.
+export const resolveRegion = ({ countryCode, timeZone, localeRegion } = {}) => {
+  const candidates = [
+    ['app', normalizeCountryCode(countryCode)],
+    ['timeZone', TIME_ZONE_COUNTRIES[timeZone] || null],
+    ['locale', normalizeCountryCode(localeRegion)]
+  ];
+  const [source, resolved] = candidates.find(([, code]) => code) || [null, null];
+  return { countryCode: resolved, source };
+};
+
+// Rule of a country, UNKNOWN_REGION_RULE when it is not known
+export const getRegionRule = (countryCode, rules = CONSENT_REGION_RULES) => {
+  if (!countryCode) {
+    return UNKNOWN_REGION_RULE;
+  }
+  return rules.find(rule => rule.countries.includes(countryCode) || rule.countries.includes('*')) ||
+    UNKNOWN_REGION_RULE;
+};
+
+// Region and rule for the consent UI: { countryCode, source, rule }
+export const resolveConsentRegion = (countryCode, hints = getDeviceRegionHints()) => {
+  const region = resolveRegion({ ...hints, countryCode });
+  return { ...region, rule: getRegionRule(region.countryCode) };
+};
+
+// What is recorded in the consent payload about the regime that applied
+export const describeRegionForPayload = ({ countryCode, source, rule }) => ({
+  countryCode,
+  source,
+  rule: rule.id,
+  law: rule.law,
+  regime: rule.regime
+});
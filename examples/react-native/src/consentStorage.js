@@ -0,0 +1,132 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from './config';
+
+// Scope user data by environment and project so switching settings never mixes users
+const scopedKey = (key, projectId, environment) => `${key}:${environment}:${projectId}`;
+
+// Load the persisted user token, or null on first launch
+export const loadUserToken = (projectId, environment) =>
+  AsyncStorage.getItem(scopedKey(STORAGE_KEYS.USER_TOKEN, projectId, environment));
+
+// Persist the user token so the same user is recognized after a restart
+export const saveUserToken = (projectId, environment, token) =>
+  AsyncStorage.setItem(scopedKey(STORAGE_KEYS.USER_TOKEN, projectId, environment), token);
+
+// Forget the user token (e.g. after the user's consents were erased)
+export const clearUserToken = (projectId, environment) =>
+  AsyncStorage.removeItem(scopedKey(STORAGE_KEYS.USER_TOKEN, projectId, environment));
+
+// Load the account the user token is linked to, or null while anonymous
+export const loadAccountId = (projectId, environment) =>
+  AsyncStorage.getItem(scopedKey(STORAGE_KEYS.ACCOUNT_ID, projectId, environment));
+
+// Persist the account the user token is linked to
+export const saveAccountId = (projectId, environment, accountId) =>
+  AsyncStorage.setItem(scopedKey(STORAGE_KEYS.ACCOUNT_ID, projectId, environment), accountId);
+
+// Forget the account (e.g. on logout)
+export const clearAccountId = (projectId, environment) =>
+  AsyncStorage.removeItem(scopedKey(STORAGE_KEYS.ACCOUNT_ID, projectId, environment));
+
+// Load the last consent record ({ token, consentId, configId, acceptAll, vendors, createdAt })
+export const loadLastConsent = async (projectId, environment) => {
+  const stored = await AsyncStorage.getItem(
+    scopedKey(STORAGE_KEYS.LAST_CONSENT, projectId, environment)
+  );
+  if (!stored) {
+    return null;
+  }
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return null;
+  }
+};
+
+// Persist the last consent record
+export const saveLastConsent = (projectId, environment, record) =>
+  AsyncStorage.setItem(
+    scopedKey(STORAGE_KEYS.LAST_CONSENT, projectId, environment),
+    JSON.stringify(record)
+  );
+
+// Forget the last consent record (e.g. when the user token is reset)
+export const clearLastConsent = (projectId, environment) =>
+  AsyncStorage.removeItem(scopedKey(STORAGE_KEYS.LAST_CONSENT, projectId, environment));
+
+// Load the last consent of each non-cookie collection: { ['collection/configId']: record }
+export const loadCollectionConsents = async (projectId, environment) => {
+  const stored = await AsyncStorage.getItem(
+    scopedKey(STORAGE_KEYS.COLLECTION_CONSENTS, projectId, environment)
+  );
+  if (!stored) {
+    return {};
+  }
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return {};
+  }
+};
+
+// Persist the last consent of a non-cookie collection and return all of them
+export const saveCollectionConsent = async (projectId, environment, record) => {
+  const consents = {
+    ...(await loadCollectionConsents(projectId, environment)),
+    [`${record.collection}/${record.configId}`]: record
+  };
+  await AsyncStorage.setItem(
+    scopedKey(STORAGE_KEYS.COLLECTION_CONSENTS, projectId, environment),
+    JSON.stringify(consents)
+  );
+  return consents;
+};
+
+// Forget the last consent of one non-cookie collection and return the others
+export const removeCollectionConsent = async (projectId, environment, key) => {
+  const { [key]: removed, ...consents } = await loadCollectionConsents(projectId, environment);
+  await AsyncStorage.setItem(
+    scopedKey(STORAGE_KEYS.COLLECTION_CONSENTS, projectId, environment),
+    JSON.stringify(consents)
+  );
+  return consents;
+};
+
+// Forget the consents of every non-cookie collection
+export const clearCollectionConsents = (projectId, environment) =>
+  AsyncStorage.removeItem(scopedKey(STORAGE_KEYS.COLLECTION_CONSENTS, projectId, environment));
+
+// Consent records kept on the device for the history screen, newest last
+const MAX_HISTORY_ENTRIES = 100;
+
+// Load the consent records given on this device
+export const loadConsentHistory = async (projectId, environment) => {
+  const stored = await AsyncStorage.getItem(
+    scopedKey(STORAGE_KEYS.CONSENT_HISTORY, projectId, environment)
+  );
+  if (!stored) {
+    return [];
+  }
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return [];
+  }
+};
+
+// Add a consent record to the history, or update it (e.g. once a queued consent is synced)
+export const saveConsentHistoryEntry = async (projectId, environment, record) => {
+  const isSameRecord = entry => entry.token === record.token && entry.createdAt === record.createdAt;
+  const history = await loadConsentHistory(projectId, environment);
+  const updated = history.some(isSameRecord)
+    ? history.map(entry => (isSameRecord(entry) ? record : entry))
+    : [...history, record].slice(-MAX_HISTORY_ENTRIES);
+  await AsyncStorage.setItem(
+    scopedKey(STORAGE_KEYS.CONSENT_HISTORY, projectId, environment),
+    JSON.stringify(updated)
+  );
+};
+
+// Forget the consent history (e.g. when the user token is reset)
+export const clearConsentHistory = (projectId, environment) =>
+  AsyncStorage.removeItem(scopedKey(STORAGE_KEYS.CONSENT_HISTORY, projectId, environment));
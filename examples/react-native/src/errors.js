@@ -0,0 +1,118 @@
+// Errors thrown by AxeptioClient. Every failure of a client call is one of
+// these classes, with the HTTP `status` (null without a response), the parsed
+// response `body` and the `method` and `endpoint` that failed, so host apps
+// can decide how to surface it.
+
+export class AxeptioError extends Error {
+  constructor(message, { status = null, body = null, method = 'GET', endpoint = null, cause } = {}) {
+    super(message);
+    this.name = 'AxeptioError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.endpoint = endpoint;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+
+  // Whether the same request may succeed later (timeouts, rate limits, outages)
+  get retryable() {
+    return this.status === 408;
+  }
+}
+
+// No response: offline, DNS failure, connection dropped
+export class NetworkError extends AxeptioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// 401/403: the API token is missing, invalid or not allowed on this project
+export class AuthError extends AxeptioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// 404: unknown project, configuration or token
+export class NotFoundError extends AxeptioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+// 400/422, or a response without the data the client expects
+export class ValidationError extends AxeptioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+// 429: `retryAfter` is the delay in seconds from the Retry-After header, if any
+export class RateLimitError extends AxeptioError {
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// 5xx
+export class ServerError extends AxeptioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+// Error for a non-2xx response
+export const createApiError = ({ status, body, method, endpoint, responseText = '', retryAfter }) => {
+  const message = `API error ${status}: ${responseText}`;
+  const details = { status, body, method, endpoint };
+  if (status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+  if (status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(retryAfter) });
+  }
+  if (status >= 500) {
+    return new ServerError(message, details);
+  }
+  return new AxeptioError(message, details);
+};
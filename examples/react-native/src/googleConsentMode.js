@@ -0,0 +1,75 @@
+// Google Consent Mode v2 signals derived from the user's vendor and purpose choices
+
+export const CONSENT_MODE_VERSION = 2;
+
+// Which vendors or purposes grant each signal. A signal is granted when at least
+// one of its vendors or purposes is accepted. Vendors are matched on their ID or
+// on their normalized name ("Google Analytics" matches google_analytics).
+export const DEFAULT_CONSENT_MODE_MAPPING = {
+  ad_storage: {
+    vendors: ['google_ads', 'google_adsense', 'doubleclick', 'google_ad_manager'],
+    purposes: ['advertising', 'marketing', 'ads']
+  },
+  ad_user_data: {
+    vendors: ['google_ads', 'doubleclick', 'google_ad_manager'],
+    purposes: ['advertising', 'marketing', 'ads']
+  },
+  ad_personalization: {
+    vendors: ['google_ads', 'doubleclick', 'google_ad_manager'],
+    purposes: ['personalized_ads', 'advertising', 'marketing']
+  },
+  analytics_storage: {
+    vendors: ['google_analytics', 'firebase_analytics', 'google_analytics_4'],
+    purposes: ['analytics', 'statistics', 'measurement']
+  }
+};
+
+// "Google Analytics 4" -> "google_analytics_4"
+export const normalizeId = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+// Signals sent before the user made a choice
+export const getDefaultConsentMode = (mapping = DEFAULT_CONSENT_MODE_MAPPING) =>
+  Object.keys(mapping).reduce((acc, signal) => ({
+    ...acc,
+    [signal]: 'denied'
+  }), { version: CONSENT_MODE_VERSION });
+
+// Compute the Consent Mode signals from the user's selections.
+// `vendors` is a list of { id, name, accepted } and `purposes` maps purpose IDs to booleans.
+export const computeConsentMode = (
+  { vendors = [], purposes = {} },
+  mapping = DEFAULT_CONSENT_MODE_MAPPING
+) => {
+  const acceptedVendors = new Set();
+  vendors.forEach(vendor => {
+    if (vendor.accepted) {
+      acceptedVendors.add(normalizeId(vendor.id));
+      acceptedVendors.add(normalizeId(vendor.name));
+    }
+  });
+
+  const acceptedPurposes = new Set(
+    Object.keys(purposes).filter(purpose => purposes[purpose]).map(normalizeId)
+  );
+
+  return Object.entries(mapping).reduce((acc, [signal, rule]) => {
+    const granted =
+      (rule.vendors || []).some(vendorId => acceptedVendors.has(normalizeId(vendorId))) ||
+      (rule.purposes || []).some(purpose => acceptedPurposes.has(normalizeId(purpose)));
+    return { ...acc, [signal]: granted ? 'granted' : 'denied' };
+  }, { version: CONSENT_MODE_VERSION });
+};
+
+// Convert the signals to the boolean map expected by Firebase Analytics `setConsent()`
+export const toFirebaseConsentSettings = (consentMode) =>
+  Object.entries(consentMode).reduce((acc, [signal, value]) => {
+    if (signal === 'version') {
+      return acc;
+    }
+    return { ...acc, [signal]: value === 'granted' };
+  }, {});
@@ -0,0 +1,237 @@
+import { getLocales } from 'expo-localization';
+
+// Localization of the consent UI. Texts come from the project configuration when it
+// provides them, otherwise from the bundled defaults below.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const BUNDLED_TEXTS = {
+  en: {
+    privacyTitle: 'Privacy Settings',
+    privacyDescription: 'We use cookies and similar technologies to improve your experience. Choose which services can process your data.',
+    loadingVendors: 'Loading vendors...',
+    noDescription: 'No description available',
+    acceptAll: 'Accept All',
+    rejectAll: 'Reject All',
+    saveChoices: 'Save My Choices',
+    customize: 'Customize',
+    close: 'Close',
+    consentSaved: 'Your choices have been saved',
+    accept: 'Accept',
+    decline: 'Decline',
+    lastChoice: 'Your last choice',
+    newServicesNotice: '{count} new service(s) since your last choice. Your previous choices are kept, please review the new ones.',
+    servicesChangedNotice: 'Our list of services changed since your last choice. Please review your choices.',
+    newBadge: 'NEW',
+    partial: 'Partial',
+    enabledCount: '{accepted}/{total} enabled',
+    otherServices: 'Other services',
+    analyticsGroup: 'Analytics',
+    analyticsGroupDescription: 'Measure how the app is used',
+    advertisingGroup: 'Advertising',
+    advertisingGroupDescription: 'Show and measure relevant ads',
+    vendorDescriptions: {
+      google_analytics: 'Usage statistics and analytics',
+      facebook_pixel: 'Ad targeting and conversion tracking',
+      mixpanel: 'Product analytics and user behavior'
+    }
+  },
+  fr: {
+    privacyTitle: 'Paramètres de confidentialité',
+    privacyDescription: 'Nous utilisons des cookies et des technologies similaires pour améliorer votre expérience. Choisissez les services autorisés à traiter vos données.',
+    loadingVendors: 'Chargement des services...',
+    noDescription: 'Aucune description disponible',
+    acceptAll: 'Tout accepter',
+    rejectAll: 'Tout refuser',
+    saveChoices: 'Enregistrer mes choix',
+    customize: 'Personnaliser',
+    close: 'Fermer',
+    consentSaved: 'Vos choix ont été enregistrés',
+    accept: 'Accepter',
+    decline: 'Refuser',
+    lastChoice: 'Votre dernier choix',
+    newServicesNotice: '{count} nouveau(x) service(s) depuis votre dernier choix. Vos choix précédents sont conservés, merci de vérifier les nouveaux.',
+    servicesChangedNotice: 'Notre liste de services a changé depuis votre dernier choix. Merci de vérifier vos choix.',
+    newBadge: 'NOUVEAU',
+    partial: 'Partiel',
+    enabledCount: '{accepted}/{total} activé(s)',
+    otherServices: 'Autres services',
+    analyticsGroup: 'Mesure d\'audience',
+    analyticsGroupDescription: 'Mesurer l\'utilisation de l\'application',
+    advertisingGroup: 'Publicité',
+    advertisingGroupDescription: 'Afficher et mesurer des publicités pertinentes',
+    vendorDescriptions: {
+      google_analytics: 'Statistiques d\'utilisation et mesure d\'audience',
+      facebook_pixel: 'Ciblage publicitaire et suivi des conversions',
+      mixpanel: 'Analyse produit et comportement des utilisateurs'
+    }
+  },
+  de: {
+    privacyTitle: 'Datenschutzeinstellungen',
+    privacyDescription: 'Wir verwenden Cookies und ähnliche Technologien, um Ihre Erfahrung zu verbessern. Wählen Sie, welche Dienste Ihre Daten verarbeiten dürfen.',
+    loadingVendors: 'Dienste werden geladen...',
+    noDescription: 'Keine Beschreibung verfügbar',
+    acceptAll: 'Alle akzeptieren',
+    rejectAll: 'Alle ablehnen',
+    saveChoices: 'Auswahl speichern',
+    customize: 'Anpassen',
+    close: 'Schließen',
+    consentSaved: 'Ihre Auswahl wurde gespeichert',
+    accept: 'Akzeptieren',
+    decline: 'Ablehnen',
+    lastChoice: 'Ihre letzte Auswahl',
+    newServicesNotice: '{count} neue(r) Dienst(e) seit Ihrer letzten Auswahl. Ihre bisherige Auswahl bleibt erhalten, bitte prüfen Sie die neuen Dienste.',
+    servicesChangedNotice: 'Unsere Liste der Dienste hat sich seit Ihrer letzten Auswahl geändert. Bitte prüfen Sie Ihre Auswahl.',
+    newBadge: 'NEU',
+    partial: 'Teilweise',
+    enabledCount: '{accepted}/{total} aktiviert',
+    otherServices: 'Weitere Dienste',
+    analyticsGroup: 'Analyse',
+    analyticsGroupDescription: 'Messen, wie die App genutzt wird',
+    advertisingGroup: 'Werbung',
+    advertisingGroupDescription: 'Relevante Werbung anzeigen und messen',
+    vendorDescriptions: {
+      google_analytics: 'Nutzungsstatistiken und Analyse',
+      facebook_pixel: 'Werbe-Targeting und Conversion-Tracking',
+      mixpanel: 'Produktanalyse und Nutzerverhalten'
+    }
+  },
+  es: {
+    privacyTitle: 'Configuración de privacidad',
+    privacyDescription: 'Utilizamos cookies y tecnologías similares para mejorar su experiencia. Elija qué servicios pueden tratar sus datos.',
+    loadingVendors: 'Cargando servicios...',
+    noDescription: 'Sin descripción disponible',
+    acceptAll: 'Aceptar todo',
+    rejectAll: 'Rechazar todo',
+    saveChoices: 'Guardar mis opciones',
+    customize: 'Personalizar',
+    close: 'Cerrar',
+    consentSaved: 'Sus opciones se han guardado',
+    accept: 'Aceptar',
+    decline: 'Rechazar',
+    lastChoice: 'Su última elección',
+    newServicesNotice: '{count} servicio(s) nuevo(s) desde su última elección. Sus opciones anteriores se mantienen, revise los nuevos.',
+    servicesChangedNotice: 'Nuestra lista de servicios ha cambiado desde su última elección. Revise sus opciones.',
+    newBadge: 'NUEVO',
+    partial: 'Parcial',
+    enabledCount: '{accepted}/{total} activado(s)',
+    otherServices: 'Otros servicios',
+    analyticsGroup: 'Analítica',
+    analyticsGroupDescription: 'Medir cómo se usa la aplicación',
+    advertisingGroup: 'Publicidad',
+    advertisingGroupDescription: 'Mostrar y medir anuncios relevantes',
+    vendorDescriptions: {
+      google_analytics: 'Estadísticas de uso y analítica',
+      facebook_pixel: 'Segmentación publicitaria y seguimiento de conversiones',
+      mixpanel: 'Analítica de producto y comportamiento de los usuarios'
+    }
+  },
+  it: {
+    privacyTitle: 'Impostazioni privacy',
+    privacyDescription: 'Utilizziamo cookie e tecnologie simili per migliorare la tua esperienza. Scegli quali servizi possono trattare i tuoi dati.',
+    loadingVendors: 'Caricamento dei servizi...',
+    noDescription: 'Nessuna descrizione disponibile',
+    acceptAll: 'Accetta tutto',
+    rejectAll: 'Rifiuta tutto',
+    saveChoices: 'Salva le mie scelte',
+    customize: 'Personalizza',
+    close: 'Chiudi',
+    consentSaved: 'Le tue scelte sono state salvate',
+    accept: 'Accetta',
+    decline: 'Rifiuta',
+    lastChoice: 'La tua ultima scelta',
+    newServicesNotice: '{count} nuovo/i servizio/i dalla tua ultima scelta. Le tue scelte precedenti sono mantenute, controlla quelli nuovi.',
+    servicesChangedNotice: 'Il nostro elenco di servizi è cambiato dalla tua ultima scelta. Controlla le tue scelte.',
+    newBadge: 'NUOVO',
+    partial: 'Parziale',
+    enabledCount: '{accepted}/{total} attivato/i',
+    otherServices: 'Altri servizi',
+    analyticsGroup: 'Statistiche',
+    analyticsGroupDescription: 'Misurare come viene utilizzata l\'app',
+    advertisingGroup: 'Pubblicità',
+    advertisingGroupDescription: 'Mostrare e misurare annunci pertinenti',
+    vendorDescriptions: {
+      google_analytics: 'Statistiche di utilizzo e analisi',
+      facebook_pixel: 'Targeting pubblicitario e monitoraggio delle conversioni',
+      mixpanel: 'Analisi del prodotto e del comportamento degli utenti'
+    }
+  }
+};
+
+// Preferred device languages, most preferred first ("fr-CA", "fr", ...)
+export const getDeviceLanguages = () => {
+  try {
+    return getLocales().flatMap(locale => [locale.languageTag, locale.languageCode].filter(Boolean));
+  } catch {
+    return [];
+  }
+};
+
+// First available language in the fallback chain:
+// each device language ("fr-CA" then "fr"), then the default language
+export const resolveLanguage = (
+  preferredLanguages,
+  availableLanguages,
+  fallback = DEFAULT_LANGUAGE
+) => {
+  const available = availableLanguages.map(language => language.toLowerCase());
+  for (const preferred of preferredLanguages) {
+    const tag = preferred.toLowerCase().replace('_', '-');
+    if (available.includes(tag)) {
+      return tag;
+    }
+    const base = tag.split('-')[0];
+    if (available.includes(base)) {
+      return base;
+    }
+  }
+  return fallback;
+};
+
+// Translations provided by the project configuration: { [language]: { [key]: text } }
+export const getConfigurationTexts = (configuration) => {
+  const texts = configuration?.translations || configuration?.texts;
+  return texts && typeof texts === 'object' ? texts : {};
+};
+
+// Pick the text for a language out of a plain string or a { [language]: text } map
+export const localizeText = (value, language) => {
+  if (!value || typeof value !== 'object') {
+    return value || null;
+  }
+  return value[language] || value[language.split('-')[0]] || value[DEFAULT_LANGUAGE] || Object.values(value)[0] || null;
+};
+
+// Translation function for a language: configuration texts first, then the bundled
+// texts for that language, then English. `{name}` placeholders are replaced by params.
+export const createTranslator = (language, configurationTexts = {}) => {
+  const baseLanguage = language.split('-')[0];
+  const sources = [
+    configurationTexts[language],
+    configurationTexts[baseLanguage],
+    BUNDLED_TEXTS[language],
+    BUNDLED_TEXTS[baseLanguage],
+    BUNDLED_TEXTS[DEFAULT_LANGUAGE]
+  ].filter(Boolean);
+
+  const lookup = (key) => {
+    const path = key.split('.');
+    for (const source of sources) {
+      const value = path.reduce((node, part) => (node ? node[part] : undefined), source);
+      if (typeof value === 'string') {
+        return value;
+      }
+    }
+    return null;
+  };
+
+  return (key, params = {}) => {
+    const text = lookup(key);
+    if (text === null) {
+      return key;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  };
+};
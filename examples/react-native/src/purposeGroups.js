@@ -0,0 +1,88 @@
+import { normalizeId } from './googleConsentMode';
+
+// Purpose/category groups (analytics, advertising, social, ...) read from the
+// configuration steps, and the group-level state of the user's vendor choices
+
+export const GROUP_STATES = {
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  PARTIAL: 'partial'
+};
+
+// Vendors that belong to no configured group
+export const OTHER_GROUP_ID = 'other';
+
+// Steps can live at the root of the configuration or in its cookie configurations
+const findSteps = (configuration) => {
+  if (!configuration) {
+    return [];
+  }
+  if (Array.isArray(configuration.steps)) {
+    return configuration.steps;
+  }
+  const cookieConfigs = configuration.cookies || configuration.configurations || [];
+  const cookieConfig = cookieConfigs.find(config => config.identifier === configuration.defaultConfigId) ||
+    cookieConfigs[0];
+  return Array.isArray(cookieConfig?.steps) ? cookieConfig.steps : [];
+};
+
+// Vendor references in a step can be IDs, names or vendor objects
+const getVendorRef = (vendor) =>
+  typeof vendor === 'object' && vendor !== null
+    ? [vendor.id, vendor.name, vendor.title].filter(Boolean)
+    : [vendor];
+
+// Groups declared by the configuration: [{ id, title, description, vendorRefs }].
+// Steps without vendors (welcome screen, information) are skipped.
+export const extractGroups = (configuration) =>
+  findSteps(configuration)
+    .filter(step => Array.isArray(step.vendors) && step.vendors.length > 0)
+    .map((step, index) => ({
+      id: normalizeId(step.name || step.identifier || step.title) || `group_${index}`,
+      title: step.title || step.name || `Group ${index + 1}`,
+      description: step.subTitle || step.description || '',
+      vendorRefs: step.vendors.flatMap(getVendorRef).map(normalizeId)
+    }));
+
+// Assign the current vendors (keyed as in the modal) to their groups.
+// Returns [] when there are no groups so the caller can show a flat list.
+export const groupVendors = (groups, vendorMap) => {
+  if (groups.length === 0) {
+    return [];
+  }
+
+  const assigned = new Set();
+  const sections = groups.map(group => {
+    const refs = new Set(group.vendorRefs);
+    const vendorKeys = Object.keys(vendorMap).filter(vendorKey => {
+      const vendor = vendorMap[vendorKey];
+      return !assigned.has(vendorKey) &&
+        (refs.has(normalizeId(vendor.id)) || refs.has(normalizeId(vendor.name)));
+    });
+    vendorKeys.forEach(vendorKey => assigned.add(vendorKey));
+    return { id: group.id, title: group.title, description: group.description, vendorKeys };
+  });
+
+  const otherKeys = Object.keys(vendorMap).filter(vendorKey => !assigned.has(vendorKey));
+  if (otherKeys.length > 0) {
+    sections.push({ id: OTHER_GROUP_ID, title: 'Other services', description: '', vendorKeys: otherKeys });
+  }
+
+  return sections.filter(section => section.vendorKeys.length > 0);
+};
+
+// Accepted when every vendor of the group is on, rejected when none is, partial otherwise
+export const getGroupState = (section, preferences) => {
+  const acceptedCount = section.vendorKeys.filter(vendorKey => preferences[vendorKey]).length;
+  if (acceptedCount === 0) {
+    return GROUP_STATES.REJECTED;
+  }
+  return acceptedCount === section.vendorKeys.length ? GROUP_STATES.ACCEPTED : GROUP_STATES.PARTIAL;
+};
+
+// Choice made for each group, recorded in the consent payload
+export const getGroupChoices = (sections, preferences) =>
+  sections.reduce((acc, section) => ({
+    ...acc,
+    [section.id]: getGroupState(section, preferences)
+  }), {});
@@ -0,0 +1,81 @@
+import bundledVendorList from './vendor-list.json';
+import { normalizeId } from '../googleConsentMode';
+import { CONSENT_ONLY_PURPOSES, encodeTCString } from './tcString';
+
+// Load the Global Vendor List from a URL (official GVL or your own proxy),
+// falling back to the copy bundled with the app
+export const loadGlobalVendorList = async ({ url } = {}) => {
+  if (!url) {
+    return bundledVendorList;
+  }
+  try {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const vendorList = await response.json();
+    if (!vendorList?.vendors || !vendorList.vendorListVersion) {
+      throw new Error('Invalid Global Vendor List');
+    }
+    return vendorList;
+  } catch (error) {
+    console.warn('Failed to load Global Vendor List, using bundled copy:', error.message);
+    return bundledVendorList;
+  }
+};
+
+// GVL ID of an app vendor: an explicit IAB ID on the vendor first, then a name match
+export const findGvlVendorId = (gvl, vendor) => {
+  const explicitId = vendor.iabId ?? vendor.gvlId ?? vendor.tcfId;
+  if (explicitId !== undefined && gvl.vendors[explicitId]) {
+    return Number(explicitId);
+  }
+  const name = normalizeId(vendor.name);
+  const match = Object.values(gvl.vendors).find(gvlVendor => normalizeId(gvlVendor.name) === name);
+  return match ? match.id : null;
+};
+
+const union = (lists) => [...new Set(lists.flat())].sort((a, b) => a - b);
+
+// Build the TC model from the vendor choices collected in submitConsent.
+// Only vendors found in the GVL are part of the string; they are all disclosed.
+// Purposes, legitimate interests and special features are those declared in the
+// GVL by the accepted vendors, a rejected vendor counts as an objection.
+export const buildTCModel = ({ gvl, vendorSelections, language, settings, created = new Date() }) => {
+  const disclosedVendors = [];
+  const acceptedVendors = [];
+
+  vendorSelections.forEach(selection => {
+    const gvlId = findGvlVendorId(gvl, selection);
+    if (!gvlId) {
+      return;
+    }
+    disclosedVendors.push(gvlId);
+    if (selection.accepted) {
+      acceptedVendors.push(gvl.vendors[gvlId]);
+    }
+  });
+
+  const legitimateInterestVendors = acceptedVendors.filter(vendor => vendor.legIntPurposes?.length > 0);
+
+  return {
+    created,
+    cmpId: settings.cmpId,
+    cmpVersion: settings.cmpVersion,
+    consentLanguage: language.split('-')[0].toUpperCase(),
+    publisherCountryCode: settings.publisherCountryCode,
+    vendorListVersion: gvl.vendorListVersion,
+    tcfPolicyVersion: gvl.tcfPolicyVersion,
+    isServiceSpecific: true,
+    purposeConsents: union(acceptedVendors.map(vendor => vendor.purposes || [])),
+    purposeLegitimateInterests: union(legitimateInterestVendors.map(vendor => vendor.legIntPurposes))
+      .filter(purpose => !CONSENT_ONLY_PURPOSES.includes(purpose)),
+    specialFeatureOptIns: union(acceptedVendors.map(vendor => vendor.specialFeatures || [])),
+    vendorConsents: acceptedVendors.map(vendor => vendor.id),
+    vendorLegitimateInterests: legitimateInterestVendors.map(vendor => vendor.id),
+    disclosedVendors
+  };
+};
+
+// TC string for the user's choices
+export const createTCString = (options) => encodeTCString(buildTCModel(options));
@@ -0,0 +1,256 @@
+// IAB TCF v2.2 TC string encoding and decoding (core and disclosed vendors segments).
+// Field sizes follow the "Consent string and vendor list formats v2" specification.
+
+export const TCF_VERSION = 2;
+export const TCF_POLICY_VERSION = 4; // TCF v2.2
+export const PURPOSE_COUNT = 24;
+export const SPECIAL_FEATURE_COUNT = 12;
+
+// Purposes 1, 3, 4, 5 and 6 cannot rely on legitimate interest under TCF v2.2
+export const CONSENT_ONLY_PURPOSES = [1, 3, 4, 5, 6];
+
+const SEGMENT_TYPES = {
+  CORE: 0,
+  DISCLOSED_VENDORS: 1
+};
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// --- Bit writing -------------------------------------------------------------
+
+const encodeInt = (value, bits) => {
+  if (!Number.isInteger(value) || value < 0 || value >= Math.pow(2, bits)) {
+    throw new Error(`TC string: ${value} does not fit in ${bits} bits`);
+  }
+  return value.toString(2).padStart(bits, '0');
+};
+
+const encodeBool = (value) => (value ? '1' : '0');
+
+// Deciseconds since epoch, day precision as recommended by TCF v2.2
+const encodeDate = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return encodeInt(Math.round(day.getTime() / 100), 36);
+};
+
+// Two letters, 6 bits each (A = 0)
+const encodeLetters = (letters) => {
+  const upper = String(letters).toUpperCase();
+  if (!/^[A-Z]{2}$/.test(upper)) {
+    throw new Error(`TC string: invalid two-letter code "${letters}"`);
+  }
+  return encodeInt(upper.charCodeAt(0) - 65, 6) + encodeInt(upper.charCodeAt(1) - 65, 6);
+};
+
+// One bit per ID from 1 to length, set when the ID is in the list
+const encodeBitField = (ids, length) => {
+  const set = new Set(ids);
+  let bits = '';
+  for (let id = 1; id <= length; id++) {
+    bits += encodeBool(set.has(id));
+  }
+  return bits;
+};
+
+// Vendor section: whichever of bitfield or range encoding is shorter
+const encodeVendorSection = (vendorIds) => {
+  const sortedIds = [...new Set(vendorIds)].sort((a, b) => a - b);
+  const maxVendorId = sortedIds.length > 0 ? sortedIds[sortedIds.length - 1] : 0;
+
+  const ranges = [];
+  sortedIds.forEach(id => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === id - 1) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  });
+  const rangeBits = encodeInt(ranges.length, 12) + ranges.map(([start, end]) =>
+    start === end
+      ? '0' + encodeInt(start, 16)
+      : '1' + encodeInt(start, 16) + encodeInt(end, 16)
+  ).join('');
+
+  const bitField = encodeBitField(sortedIds, maxVendorId);
+  return rangeBits.length < bitField.length
+    ? encodeInt(maxVendorId, 16) + '1' + rangeBits
+    : encodeInt(maxVendorId, 16) + '0' + bitField;
+};
+
+const bitsToBase64Url = (bits) => {
+  const padded = bits.padEnd(Math.ceil(bits.length / 8) * 8, '0');
+  let encoded = '';
+  for (let i = 0; i < padded.length; i += 6) {
+    encoded += BASE64URL[parseInt(padded.slice(i, i + 6).padEnd(6, '0'), 2)];
+  }
+  return encoded;
+};
+
+// Encode a TC model into a base64url TC string ("core.disclosedVendors")
+export const encodeTCString = ({
+  created = new Date(),
+  lastUpdated = created,
+  cmpId,
+  cmpVersion,
+  consentScreen = 1,
+  consentLanguage = 'EN',
+  vendorListVersion,
+  tcfPolicyVersion = TCF_POLICY_VERSION,
+  isServiceSpecific = true,
+  useNonStandardTexts = false,
+  specialFeatureOptIns = [],
+  purposeConsents = [],
+  purposeLegitimateInterests = [],
+  purposeOneTreatment = false,
+  publisherCountryCode = 'AA',
+  vendorConsents = [],
+  vendorLegitimateInterests = [],
+  disclosedVendors = []
+}) => {
+  if (!Number.isInteger(cmpId) || cmpId < 2) {
+    throw new Error('TC string: cmpId must be the CMP ID registered with IAB Europe');
+  }
+
+  const allowedLegitimateInterests = purposeLegitimateInterests.filter(
+    purpose => !CONSENT_ONLY_PURPOSES.includes(purpose)
+  );
+
+  const core =
+    encodeInt(TCF_VERSION, 6) +
+    encodeDate(created) +
+    encodeDate(lastUpdated) +
+    encodeInt(cmpId, 12) +
+    encodeInt(cmpVersion, 12) +
+    encodeInt(consentScreen, 6) +
+    encodeLetters(consentLanguage) +
+    encodeInt(vendorListVersion, 12) +
+    encodeInt(tcfPolicyVersion, 6) +
+    encodeBool(isServiceSpecific) +
+    encodeBool(useNonStandardTexts) +
+    encodeBitField(specialFeatureOptIns, SPECIAL_FEATURE_COUNT) +
+    encodeBitField(purposeConsents, PURPOSE_COUNT) +
+    encodeBitField(allowedLegitimateInterests, PURPOSE_COUNT) +
+    encodeBool(purposeOneTreatment) +
+    encodeLetters(publisherCountryCode) +
+    encodeVendorSection(vendorConsents) +
+    encodeVendorSection(vendorLegitimateInterests) +
+    encodeInt(0, 12); // No publisher restrictions
+
+  const segments = [bitsToBase64Url(core)];
+  if (disclosedVendors.length > 0) {
+    segments.push(bitsToBase64Url(
+      encodeInt(SEGMENT_TYPES.DISCLOSED_VENDORS, 3) + encodeVendorSection(disclosedVendors)
+    ));
+  }
+  return segments.join('.');
+};
+
+// --- Bit reading -------------------------------------------------------------
+
+const base64UrlToBits = (segment) =>
+  segment.split('').map(char => {
+    const index = BASE64URL.indexOf(char);
+    if (index === -1) {
+      throw new Error(`TC string: invalid character "${char}"`);
+    }
+    return index.toString(2).padStart(6, '0');
+  }).join('');
+
+class BitReader {
+  constructor(bits) {
+    this.bits = bits;
+    this.position = 0;
+  }
+
+  readInt(length) {
+    if (this.position + length > this.bits.length) {
+      throw new Error('TC string: unexpected end of segment');
+    }
+    const value = parseInt(this.bits.slice(this.position, this.position + length), 2);
+    this.position += length;
+    return value;
+  }
+
+  readBool() {
+    return this.readInt(1) === 1;
+  }
+
+  readDate() {
+    return new Date(this.readInt(36) * 100);
+  }
+
+  readLetters() {
+    return String.fromCharCode(this.readInt(6) + 65) + String.fromCharCode(this.readInt(6) + 65);
+  }
+
+  readBitField(length) {
+    const ids = [];
+    for (let id = 1; id <= length; id++) {
+      if (this.readBool()) {
+        ids.push(id);
+      }
+    }
+    return ids;
+  }
+
+  readVendorSection() {
+    const maxVendorId = this.readInt(16);
+    if (!this.readBool()) {
+      return this.readBitField(maxVendorId);
+    }
+    const ids = [];
+    const numEntries = this.readInt(12);
+    for (let i = 0; i < numEntries; i++) {
+      const isRange = this.readBool();
+      const start = this.readInt(16);
+      const end = isRange ? this.readInt(16) : start;
+      for (let id = start; id <= end; id++) {
+        ids.push(id);
+      }
+    }
+    return ids;
+  }
+}
+
+// Decode a TC string back into a TC model
+export const decodeTCString = (tcString) => {
+  const [coreSegment, ...otherSegments] = String(tcString).split('.');
+  const reader = new BitReader(base64UrlToBits(coreSegment));
+
+  const version = reader.readInt(6);
+  if (version !== TCF_VERSION) {
+    throw new Error(`TC string: unsupported version ${version}`);
+  }
+
+  const model = {
+    version,
+    created: reader.readDate(),
+    lastUpdated: reader.readDate(),
+    cmpId: reader.readInt(12),
+    cmpVersion: reader.readInt(12),
+    consentScreen: reader.readInt(6),
+    consentLanguage: reader.readLetters(),
+    vendorListVersion: reader.readInt(12),
+    tcfPolicyVersion: reader.readInt(6),
+    isServiceSpecific: reader.readBool(),
+    useNonStandardTexts: reader.readBool(),
+    specialFeatureOptIns: reader.readBitField(SPECIAL_FEATURE_COUNT),
+    purposeConsents: reader.readBitField(PURPOSE_COUNT),
+    purposeLegitimateInterests: reader.readBitField(PURPOSE_COUNT),
+    purposeOneTreatment: reader.readBool(),
+    publisherCountryCode: reader.readLetters(),
+    vendorConsents: reader.readVendorSection(),
+    vendorLegitimateInterests: reader.readVendorSection(),
+    disclosedVendors: []
+  };
+
+  otherSegments.forEach(segment => {
+    const segmentReader = new BitReader(base64UrlToBits(segment));
+    if (segmentReader.readInt(3) === SEGMENT_TYPES.DISCLOSED_VENDORS) {
+      model.disclosedVendors = segmentReader.readVendorSection();
+    }
+  });
+
+  return model;
+};
@@ -0,0 +1,66 @@
+import { normalizeId } from './googleConsentMode';
+
+// Vendor gating for third-party SDKs: ask whether a vendor may run, and get
+// notified of the vendors granted or revoked by each consent update so SDKs
+// can be started or stopped without polling
+
+// Vendor choices of a consent record, read back from its `preferences.vendors` ("id (name)" keys)
+export const getVendorChoices = (record) =>
+  Object.entries(record?.vendors || {}).map(([payloadKey, accepted]) => {
+    const [, id, name] = payloadKey.match(/^(.*?) \((.*)\)$/) || [null, payloadKey, null];
+    return { id, name, accepted: accepted === true };
+  });
+
+// Vendors granted and revoked between two sets of granted vendor IDs
+export const diffGrantedVendors = (previousIds, currentIds) => ({
+  granted: [...currentIds].filter(id => !previousIds.has(id)),
+  revoked: [...previousIds].filter(id => !currentIds.has(id))
+});
+
+export class VendorGate {
+  constructor() {
+    this.grantedIds = new Set(); // Normalized IDs of the accepted vendors
+    this.aliases = new Map(); // Normalized vendor name -> normalized ID
+    this.listeners = new Set();
+  }
+
+  // Whether the current consent accepts the vendor, by ID or name ('google_analytics', 'Mixpanel')
+  isAllowed(vendorId) {
+    const key = normalizeId(vendorId);
+    return this.grantedIds.has(key) || this.grantedIds.has(this.aliases.get(key));
+  }
+
+  // Call listener({ granted, revoked, reason }) after each consent update.
+  // Returns an unsubscribe function.
+  onConsentChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Apply the vendor choices of a consent record (null when there is no valid consent)
+  // and notify the listeners. `reason` is 'restore', 'submit' or 'reset'.
+  update(record, reason) {
+    const choices = getVendorChoices(record);
+    const grantedIds = new Set(
+      choices.filter(choice => choice.accepted).map(choice => normalizeId(choice.id))
+    );
+    const change = { ...diffGrantedVendors(this.grantedIds, grantedIds), reason };
+
+    this.grantedIds = grantedIds;
+    this.aliases = new Map(
+      choices.filter(choice => choice.name).map(choice => [normalizeId(choice.name), normalizeId(choice.id)])
+    );
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Consent change listener failed:', error);
+      }
+    });
+    return change;
+  }
+}
+
+// Gate shared by AxeptioConsentProvider and the code that starts tracking SDKs
+export const vendorGate = new VendorGate();
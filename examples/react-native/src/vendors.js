@@ -0,0 +1,50 @@
+// Vendor list shown in the preference center and the switch states built from it
+
+// Mock vendors since project config is empty
+export const VENDORS = {
+  google_analytics: { id: 'google_analytics', name: 'Google Analytics', description: 'Usage statistics and analytics' },
+  facebook_pixel: { id: 'facebook_pixel', name: 'Facebook Pixel', description: 'Ad targeting and conversion tracking' },
+  mixpanel: { id: 'mixpanel', name: 'Mixpanel', description: 'Product analytics and user behavior' }
+};
+
+// Key of a vendor in the submitted `preferences.vendors`
+export const getVendorPayloadKey = (vendor) => `${vendor.id} (${vendor.name})`;
+
+// Vendor map keyed as in the preference center, from the /vendors response
+export const toVendorMap = (apiVendorList) =>
+  apiVendorList.reduce((acc, vendor) => {
+    const name = vendor.title || vendor.name;
+    return {
+      ...acc,
+      [`${vendor.id} (${name})`]: {
+        id: vendor.id,
+        name,
+        description: vendor.description || null,
+        image: vendor.image
+      }
+    };
+  }, {});
+
+// Vendors of the project, or the hardcoded VENDORS when they cannot be loaded.
+// Resolves with { vendorMap, error }, `error` being the reason for the fallback.
+export const loadVendorMap = async (client) => {
+  try {
+    const apiVendorList = await client.fetchVendors();
+    console.log(`Successfully loaded ${apiVendorList.length} vendors from API`);
+    return { vendorMap: toVendorMap(apiVendorList), error: null };
+  } catch (error) {
+    console.error('Failed to fetch vendors:', error);
+    return { vendorMap: VENDORS, error };
+  }
+};
+
+// Switch states with every vendor on or off
+export const setAllPreferences = (vendorMap, accepted) =>
+  Object.keys(vendorMap).reduce((acc, key) => ({ ...acc, [key]: accepted }), {});
+
+// Switch states for the current vendor list from a previous `preferences.vendors`
+export const restoreVendorPreferences = (vendorMap, previousVendors = {}) =>
+  Object.entries(vendorMap).reduce((acc, [vendorKey, vendor]) => ({
+    ...acc,
+    [vendorKey]: previousVendors[getVendorPayloadKey(vendor)] === true
+  }), {});